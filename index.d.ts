@@ -1,5 +1,9 @@
 import type { OnLoadResult, Plugin, PluginBuild } from 'esbuild';
 import BuildCache from './lib/cache';
+import DiskCache from './lib/disk-cache';
+import ClassNamesMinifier from './lib/class-names-minifier';
+import type { Targets, Drafts, NonStandard, PseudoClasses, TransformOptions } from 'lightningcss';
+import type { AcceptedPlugin } from 'postcss';
 
 declare type GenerateScopedNameFunction = (name: string, filename: string, css: string) => string;
 
@@ -42,15 +46,60 @@ declare interface CssModulesOptions {
 }
 
 declare interface PluginOptions {
+  /**
+   * in v2, css of a css modules file is injected when the file is imported, each into its own `<style data-css-module="<path>">`,
+   * so code-split chunks inject their css only when loaded. if the css is minified it could not be split by module,
+   * the whole output css file is injected when any of its modules is imported.
+   * each entry (`splitting` is supported) injects css files it needs, according to `metafile`.
+   * the function is called for css of each module with a unique digest.
+   * css modules files export `attachStyles(root)` as well, to adopt their css into shadow roots created at any time,
+   * e.g. of web components, a single constructed stylesheet of each file is shared by all roots.
+   * with esbuild's `sourcemap` option, injected css carries an inline source map to the original css modules file.
+   */
   inject?: boolean | string | ((css: string, digest: string) => string);
-  localsConvention?: CssModulesOptions['localsConvention'];
+  /**
+   * v2 only. read nonce of injected `<style>` at runtime for Content-Security-Policy,
+   * `meta` is name of a `<meta>` whose `nonce` or `content` is the nonce, `global` is name of a global variable.
+   * `true` means `{ meta: 'csp-nonce' }`.
+   */
+  injectNonce?: boolean | { meta?: string; global?: string };
+  /**
+   * v2 only. `adoptedStyleSheets` injects constructed `CSSStyleSheet`s into `document` (or shadow root of the `inject` element),
+   * which does not need a nonce, falls back to `<style>` if not supported. default is `style`.
+   */
+  injectMode?: 'style' | 'adoptedStyleSheets';
+  /**
+   * keys of class names in exports.
+   * in v2 `PascalCase` is supported as well, named exports use the first key which is a valid identifier,
+   * and if not set, keys of default export are kebab-case while named exports are camelCase.
+   */
+  localsConvention?: CssModulesOptions['localsConvention'] | 'PascalCase';
   generateScopedName?: CssModulesOptions['generateScopedName'];
   cssModulesOption?: CssModulesOptions;
+  /**
+   * default is `/\.modules?\.(css|scss|sass|less)$/i` in v2, where `scss`/`sass` and `less` are included only if `sass` or `less`
+   * could be resolved from the build root, and `/\.modules?\.css$/` in v1.
+   * sass/less files are compiled with `sass` or `less` first, which should be installed if they are matched by `filter`.
+   */
   filter?: RegExp;
+  /**
+   * postcss plugins to run before css modules are scoped (by postcss-modules in v1, or lightningcss in v2),
+   * e.g. `postcss-preset-env` or `tailwindcss`. plugins of postcss config in build root (e.g. `postcss.config.js`) run first.
+   * files and directories reported by `dependency` and `dir-dependency` messages are watched.
+   */
+  postcssPlugins?: AcceptedPlugin[];
   v2?: boolean;
+  /** generate `xxx.module.css.d.ts` for css modules files */
   generateTsFile?: boolean;
+  /**
+   * directory to write generated `xxx.module.css.d.ts` into, relative to build root,
+   * keeps the same structure as the css files. by default they are placed next to the css files.
+   * add it to `rootDirs` of your `tsconfig.json` so that typescript can find them.
+   */
+  typesDir?: string;
   v2CssModulesOption?: {
     /**
+     * scope dashed idents like `--accent`, they are exported as `customProperties`.
      * refer to: https://github.com/parcel-bundler/parcel-css/releases/tag/v1.9.0
      */
     dashedIndents?: boolean;
@@ -61,15 +110,115 @@ declare interface PluginOptions {
      * [local] - the original class name
      */
     pattern?: string;
+    /**
+     * `global` to treat all css modules files as global css, default is `local`.
+     * global css is not scoped, but still bundled and injected like css modules files, exports nothing.
+     */
+    scopeBehaviour?: 'global' | 'local';
+    /**
+     * css modules files to treat as global css, e.g. vendor themes and resets.
+     * globs (e.g. `styles/vendor/**`) are matched against paths relative to build root, RegExps against absolute paths.
+     */
+    globalModulePaths?: (string | RegExp)[];
+    /**
+     * generate scoped names of classes (and keyframes etc.) instead of `pattern`,
+     * called with the local name, path of the file relative to build root (e.g. `./styles/app.module.css`) and hash of its content.
+     * it should be deterministic, the build fails if two classes are scoped to the same name.
+     */
+    generateScopedName?: (name: string, filename: string, hash: string) => string;
+  };
+  /**
+   * transpilation options of lightningcss, e.g. to lower css nesting and custom media queries, or add vendor prefixes.
+   * refer to: https://lightningcss.dev/transpilation.html
+   */
+  v2LightningcssOption?: {
+    /**
+     * browsers to transpile css for, could be a browserslist query (requires `browserslist` to be installed), or `false` to disable.
+     * if not set, browsers in esbuild's `target` (e.g. `chrome80`, `safari13.1`) are used,
+     * otherwise browserslist config of the project (e.g. `.browserslistrc`) if `browserslist` is installed.
+     */
+    targets?: Targets | string | string[] | false;
+    /** e.g. `{ customMedia: true }` */
+    drafts?: Drafts;
+    nonStandard?: NonStandard;
+    /** features to always compile, bit flags of `Features` of lightningcss, or their names e.g. `['Nesting']` */
+    include?: number | string[];
+    /** features to never compile, bit flags of `Features` of lightningcss, or their names */
+    exclude?: number | string[];
+    /** e.g. `{ focusVisible: 'focus-ring' }` */
+    pseudoClasses?: PseudoClasses;
   };
   root?: string;
+  /**
+   * v2 only. check class names used by importers of css modules files,
+   * e.g. `styles.foo`, `import { foo } from './xxx.module.css'`,
+   * build fails if a class is not defined in the css modules file, and warns for classes never used.
+   */
+  strictClassNames?: boolean;
+  /**
+   * v2 only. emit a json file into `outdir` which maps path of css modules files (relative to build root) to their exports,
+   * e.g. for server side rendering. `true` means `css-modules.json`, or a path relative to `outdir`.
+   */
+  manifest?: boolean | string;
+  /**
+   * v2 only, works with `inject` (not a function). emit `css-modules-hmr.json` into `outdir` (or the directory of `outfile`), in watch/serve mode,
+   * call `globalThis.__esbuild_css_modules_hmr__.reload()` after a rebuild to swap injected css in place instead of reloading the page.
+   */
+  hmr?: boolean;
+  /**
+   * v2 only. theme name => file of design tokens (relative to build root), the first one is the default theme,
+   * e.g. `{ light: './themes/light.css', dark: './themes/dark.css' }`.
+   * a token file is a css file with custom properties in `:root`, or a json file of token names to values,
+   * themes inherit tokens of the default theme. `var()`s of tokens in css modules files are resolved statically,
+   * with the default theme in output css files. without `inject`, css of other themes is emitted next to output css files,
+   * e.g. `app.dark.css` for `app.css`. with `inject`, css of every theme is injected and
+   * css modules files export `setTheme(name)` to swap the injected css in place, class names are the same in all themes.
+   */
+  themes?: Record<string, string>;
   package?: {
     name: string;
     main?: string;
     module?: string;
     version?: string;
   };
+  /** v2 only, same as `localsConvention: 'PascalCase'` if `localsConvention` is not set */
   usePascalCase?: boolean;
+  /**
+   * v2 only. cache transformed css modules on disk, so that they are reused across builds and processes.
+   * entries are invalidated when content, files it depends on (e.g. sass partials), plugin options or versions of this plugin & lightningcss change.
+   * results depending on directories reported by postcss plugins (e.g. content of tailwind) are not cached.
+   */
+  persistentCache?:
+    | boolean
+    | {
+        /** default is `node_modules/.cache/esbuild-css-modules-plugin` under build root */
+        dir?: string;
+        /** least recently used entries are removed when exceeded, default is 5000 */
+        maxEntries?: number;
+      };
+  /**
+   * v2 only. replace scoped names with short names like `a`, `b` and `a0`, unique across the build,
+   * takes precedence over `v2CssModulesOption.generateScopedName`.
+   * names are kept in a json file, which should be committed so that names are stable across releases.
+   */
+  minifyClassNames?:
+    | boolean
+    | {
+        /** path of the mapping file relative to build root, default is `css-modules-names.json` */
+        file?: string;
+        /** prefix of short names, e.g. to avoid conflicts with global css */
+        prefix?: string;
+      };
+  /**
+   * v2 only. limits of the in-memory cache used in watch mode,
+   * least recently used entries are evicted when exceeded.
+   */
+  memoryCache?: {
+    /** default is 1000 */
+    maxEntries?: number;
+    /** size of cached js & css, default is 100MB */
+    maxBytes?: number;
+  };
   /** since esbuild@0.17 has removed the `watch` option, you have to set it here explicitly */
   watch?: boolean;
 }
@@ -82,12 +231,52 @@ declare interface BuildContext {
   log: (...args: any[]) => void;
   relative: (to: string) => `.${string}`;
   cache: BuildCache;
+  diskCache?: DiskCache;
+  classNamesMinifier?: ClassNamesMinifier;
+  lightningcssOptions: Pick<
+    TransformOptions<{}>,
+    'targets' | 'drafts' | 'nonStandard' | 'include' | 'exclude' | 'pseudoClasses'
+  >;
+  modulesExports: Map<string, Record<string, string>>;
+  scopedNames: Map<string, { rpath: string; local: string }>;
+  themeTokens: Map<string, Promise<{ tokens: Record<string, string>; files: string[] }>>;
+  classNamesUsage: Map<
+    string,
+    {
+      importers: Map<string, Set<string>>;
+      module: {
+        exports: Record<string, { name: string; composes: any[]; isReferenced: boolean }>;
+        defaultExport: Record<string, string>;
+        namedExports: Record<string, string>;
+        otherExports: string[];
+        rpath: string;
+      } | null;
+    }
+  >;
+}
+
+declare interface CacheStats {
+  /** results reused since the files and their dependencies are not changed */
+  hits: number;
+  misses: number;
+  /** entries evicted since `memoryCache.maxEntries` or `memoryCache.maxBytes` is exceeded */
+  evictions: number;
+  entries: number;
+  bytes: number;
 }
 
-declare function CssModulesPlugin(options?: PluginOptions): Plugin;
+declare function CssModulesPlugin(options?: PluginOptions): CssModulesPlugin.CssModulesPlugin;
 
 declare namespace CssModulesPlugin {
   export type Options = PluginOptions;
+  export type Stats = CacheStats;
+  export interface CssModulesPlugin extends Plugin {
+    /**
+     * v2 only. stats of the in-memory cache of the last build set up by the plugin,
+     * counters are accumulated across rebuilds in watch mode. `undefined` before the build is set up
+     */
+    getCacheStats: () => CacheStats | undefined;
+  }
   export interface Build extends PluginBuild {
     context: BuildContext;
   }
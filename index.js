@@ -3,23 +3,35 @@ const plugin = require('./lib/plugin');
 const { pluginName } = require('./lib/utils');
 
 /**
- * @type {(options: import('.').Options) => import('esbuild').Plugin}
+ * @type {(options: import('.').Options) => import('.').CssModulesPlugin}
  */
 const CssModulesPlugin = (options = {}) => {
-  return {
+  /**
+   * the last build set up by this plugin, a plugin object could be used by several builds
+   * @type {import('.').Build|void}
+   */
+  let lastBuild;
+
+  const cssModulesPlugin = {
     name: pluginName,
     setup: async (build) => {
-      const { bundle } = build.initialOptions;
       const { v2 } = options;
-      const useV2 = v2 && bundle;
 
-      if (useV2) {
+      if (v2) {
+        lastBuild = build;
         await plugin.setup(build, options);
       } else {
         await pluginV1.setup(build, options);
       }
     }
   };
+  // esbuild rejects unknown enumerable keys of plugins
+  Object.defineProperty(cssModulesPlugin, 'getCacheStats', {
+    value: () => lastBuild?.context?.cache.getStats(),
+    enumerable: false
+  });
+
+  return cssModulesPlugin;
 };
 
 module.exports = CssModulesPlugin;
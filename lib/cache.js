@@ -1,38 +1,85 @@
 const { readFile } = require('fs/promises');
+const { createHash } = require('crypto');
+
+const defaultMaxEntries = 1000;
+const defaultMaxBytes = 100 * 1024 * 1024;
+
+/**
+ * @param {string|Buffer} content
+ * @returns {string}
+ */
+const hashContent = (content) => createHash('sha256').update(content).digest('hex');
+
+/**
+ * @param {string} file
+ * @returns {Promise<string>}
+ */
+const hashFile = async (file) => {
+  const content = await readFile(file).catch(() => '');
+  return hashContent(content);
+};
+
+/**
+ * @param {import('esbuild').OnLoadResult} result
+ * @returns {number}
+ */
+const getResultSize = (result) => {
+  const { contents = '', pluginData } = result;
+  return Buffer.byteLength(contents) + Buffer.byteLength(pluginData?.css ?? '');
+};
+
+/**
+ * in-memory cache of load results, bounded by number of entries and bytes,
+ * least recently used entries are evicted first.
+ */
 class BuildCache {
   /**
    * @param {import('..').Build} build
+   * @param {import('..').Options['memoryCache']} [options]
    */
-  constructor(build) {
+  constructor(build, options = {}) {
     this.build = build;
     /**
      * @type {import('..').Build['context']['log']}
      */
     this.log = build.context.log;
+    this.maxEntries = options.maxEntries ?? defaultMaxEntries;
+    this.maxBytes = options.maxBytes ?? defaultMaxBytes;
     /**
-     * @type {Map<string, {result: import('esbuild').OnLoadResult; input: string}}
+     * entries are kept in order of use, the first one is the least recently used
+     * @type {Map<string, {result: import('esbuild').OnLoadResult; hash: string; dependencies: Record<string, string>; size: number}>}
      */
     this.cache = new Map();
+    this.bytes = 0;
+    this.stats = { hits: 0, misses: 0, evictions: 0 };
   }
   /**
    * @param {string} absPath
    * @returns {Promise<import('esbuild').OnLoadResult|void>}
    */
   async get(absPath) {
+    const rpath = this.build.context.relative(absPath);
     const cachedData = this.cache.get(absPath);
     if (cachedData) {
-      this.log(
-        `find cache data, check if content changed(${this.build.context.relative(absPath)})...`
-      );
-      const input = await readFile(absPath, { encoding: 'utf8' });
-      if (input === cachedData.input) {
-        this.log(`content not changed, return cache(${this.build.context.relative(absPath)})`);
+      this.log(`find cache data, check if content changed(${rpath})...`);
+      const hash = await hashFile(absPath);
+      const dependenciesChanged = await this.isDependenciesChanged(cachedData.dependencies);
+      if (hash === cachedData.hash && !dependenciesChanged) {
+        this.log(`content not changed, return cache(${rpath})`);
+        this.stats.hits++;
+        // move to the end as the most recently used, unless it's evicted while checking
+        if (this.cache.get(absPath) === cachedData) {
+          this.cache.delete(absPath);
+          this.cache.set(absPath, cachedData);
+        }
         return cachedData.result;
       }
-      this.log(`content changed(${this.build.context.relative(absPath)}), rebuilding...`);
+      this.log(`content changed(${rpath}), rebuilding...`);
+      this.stats.misses++;
       return void 0;
     }
-    this.log(`cache data not found(${this.build.context.relative(absPath)}), building...`);
+    this.log(`cache data not found(${rpath}), building...`);
+    this.stats.misses++;
     return void 0;
   }
   /**
@@ -42,17 +89,67 @@ class BuildCache {
    * @returns {Promise<void>}
    */
   async set(absPath, result, originContent) {
-    const m = process.memoryUsage().rss;
-    if (m / 1024 / 1024 > 250) {
-      this.log('memory usage > 250M');
-      this.clear();
+    const hash = originContent ? hashContent(originContent) : await hashFile(absPath);
+    const dependencies = {};
+    await Promise.all(
+      (result.watchFiles ?? [])
+        .filter((f) => f !== absPath)
+        .map(async (f) => {
+          dependencies[f] = await hashFile(f);
+        })
+    );
+    this.delete(absPath);
+    const size = getResultSize(result);
+    this.cache.set(absPath, { hash, result, dependencies, size });
+    this.bytes += size;
+    this.evict();
+  }
+  /**
+   * @description evict least recently used entries until the cache fits `maxEntries` and `maxBytes`
+   */
+  evict() {
+    for (const absPath of this.cache.keys()) {
+      if (this.cache.size <= this.maxEntries && this.bytes <= this.maxBytes) {
+        break;
+      }
+      this.delete(absPath);
+      this.stats.evictions++;
+      this.log(`evict cache(${this.build.context.relative(absPath)})`);
+    }
+  }
+  /**
+   * @param {string} absPath
+   */
+  delete(absPath) {
+    const cachedData = this.cache.get(absPath);
+    if (cachedData) {
+      this.bytes -= cachedData.size;
+      this.cache.delete(absPath);
     }
-    const input = originContent || (await readFile(absPath, { encoding: 'utf8' }));
-    this.cache.set(absPath, { input, result });
+  }
+  /**
+   * @description check if any of the files a cached result depends on (e.g. composed css modules) has changed
+   * @param {Record<string, string>} dependencies
+   * @returns {Promise<boolean>}
+   */
+  async isDependenciesChanged(dependencies = {}) {
+    const results = await Promise.all(
+      Object.entries(dependencies).map(async ([f, hash]) => {
+        return (await hashFile(f)) !== hash;
+      })
+    );
+    return results.some(Boolean);
+  }
+  /**
+   * @returns {{hits: number; misses: number; evictions: number; entries: number; bytes: number}}
+   */
+  getStats() {
+    return { ...this.stats, entries: this.cache.size, bytes: this.bytes };
   }
   clear() {
     this.log('clear cache');
     this.cache.clear();
+    this.bytes = 0;
   }
 }
 
@@ -0,0 +1,130 @@
+const path = require('path');
+const fs = require('fs');
+const { writeFileAtomic } = require('./utils.js');
+
+const defaultFile = 'css-modules-names.json';
+// lowercase only, class selectors are case-insensitive in quirks mode
+const firstChars = 'abcdefghijklmnopqrstuvwxyz';
+const restChars = `0123456789${firstChars}`;
+// names like `ad`, `ads` or `banner-ad` are hidden by ad blockers
+const blockedName = /ad/;
+
+/**
+ * getShortName
+ * @description `0 => a`, `25 => z`, `26 => a0`, ... names are never starting with a digit
+ * @param {number} index
+ * @returns {string}
+ */
+const getShortName = (index) => {
+  let rest = index;
+  let length = 1;
+  let count = firstChars.length;
+  while (rest >= count) {
+    rest -= count;
+    count *= restChars.length;
+    length++;
+  }
+  let name = '';
+  for (let i = 1; i < length; i++) {
+    name = restChars[rest % restChars.length] + name;
+    rest = Math.floor(rest / restChars.length);
+  }
+  return firstChars[rest] + name;
+};
+
+/**
+ * short names of css modules shared by all files of a build, the mapping is read from and written to a json file,
+ * so that names are stable across builds and releases, names of removed classes are kept and never reused.
+ */
+class ClassNamesMinifier {
+  /**
+   * @param {import('..').Build} build
+   * @param {import('..').Options} options
+   */
+  constructor(build, options) {
+    const { buildRoot, log } = build.context;
+    const { file, prefix = '' } =
+      typeof options.minifyClassNames === 'object' ? options.minifyClassNames : {};
+    /**
+     * @type {import('..').Build['context']['log']}
+     */
+    this.log = log;
+    this.file = path.resolve(buildRoot, file ?? defaultFile);
+    this.prefix = prefix;
+    /**
+     * path relative to build root => local name => short name
+     * @type {Record<string, Record<string, string>>}
+     */
+    this.mapping = this.load();
+    /**
+     * @type {Set<string>}
+     */
+    this.used = new Set(Object.values(this.mapping).flatMap((names) => Object.values(names)));
+    this.index = 0;
+    this.changed = false;
+  }
+  /**
+   * @returns {Record<string, Record<string, string>>}
+   */
+  load() {
+    let content;
+    try {
+      content = fs.readFileSync(this.file, 'utf8');
+    } catch (error) {
+      this.log(`class names mapping ${this.file} not found, it will be created`);
+      return {};
+    }
+    try {
+      return JSON.parse(content);
+    } catch (error) {
+      throw new Error(`failed to parse class names mapping ${this.file}: ${error.message}`);
+    }
+  }
+  /**
+   * @param {string} local local name in the css modules file, dashed idents start with `--`
+   * @param {string} rpath posix path of the css modules file relative to build root
+   * @returns {string}
+   */
+  generate(local, rpath) {
+    const names = this.mapping[rpath] ?? (this.mapping[rpath] = {});
+    if (!names[local]) {
+      let name;
+      do {
+        name = `${local.startsWith('--') ? '--' : ''}${this.prefix}${getShortName(this.index++)}`;
+      } while (this.used.has(name) || blockedName.test(name));
+      this.used.add(name);
+      names[local] = name;
+      this.changed = true;
+    }
+    return names[local];
+  }
+  /**
+   * @description write the mapping if there are new names, sorted to keep diffs small
+   * @returns {Promise<void>}
+   */
+  async save() {
+    if (!this.changed) {
+      return;
+    }
+    const sorted = {};
+    Object.keys(this.mapping)
+      .sort()
+      .forEach((rpath) => {
+        sorted[rpath] = {};
+        Object.keys(this.mapping[rpath])
+          .sort()
+          .forEach((local) => {
+            sorted[rpath][local] = this.mapping[rpath][local];
+          });
+      });
+    try {
+      await writeFileAtomic(this.file, `${JSON.stringify(sorted, null, 2)}\n`);
+    } catch (error) {
+      throw new Error(`failed to write class names mapping ${this.file}: ${error.message}`);
+    }
+    this.changed = false;
+    this.log('class names mapping saved to', this.file);
+  }
+}
+
+module.exports = ClassNamesMinifier;
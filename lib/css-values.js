@@ -0,0 +1,61 @@
+const postcssModulesValues = require('postcss-modules-values');
+const { extractICSS, replaceSymbols, replaceValueSymbols } = require('icss-utils');
+const { runPostcssPlugins } = require('./postcss-plugins.js');
+
+/**
+ * hasValueRules
+ * @description quick check to skip postcss for files without `@value`
+ * @param {string} css
+ * @returns {boolean}
+ */
+const hasValueRules = (css) => /@value\s/i.test(css);
+
+/**
+ * resolveValues
+ * @description resolve `@value`s of postcss-modules, e.g. `@value primary: #bf4040;` and `@value primary from './colors.module.css';`,
+ * values are replaced in declarations, selectors and at-rule params, then removed from css.
+ * @param {{fullPath: string; css: string; map?: any; loadValues: (specifier: string) => Promise<{values: Record<string, string>; files: string[]}>}} params
+ * `sources` of `map` are absolute paths, `loadValues` returns values of an imported file and files it depends on
+ * @returns {Promise<{css: string; map: any; values: Record<string, string>; dependencies: string[]}>} `sources` of `map` are absolute paths
+ */
+const resolveValues = async ({ fullPath, css, map, loadValues }) => {
+  const values = {};
+  const dependencies = new Set();
+  /**
+   * @type {import('postcss').Plugin}
+   */
+  const resolveImportedValues = {
+    postcssPlugin: 'esbuild-css-modules-plugin-values',
+    async OnceExit(root) {
+      // `postcss-modules-values` converts `@value`s to `:import` and `:export` rules of ICSS
+      const { icssImports, icssExports } = extractICSS(root);
+      const replacements = {};
+      for (const [specifier, aliases] of Object.entries(icssImports)) {
+        const imported = await loadValues(specifier);
+        imported.files.forEach((f) => dependencies.add(f));
+        Object.entries(aliases).forEach(([alias, name]) => {
+          if (!(name in imported.values)) {
+            throw new Error(`@value "${name}" is not found in "${specifier}", which is imported in ${fullPath}`);
+          }
+          replacements[alias] = imported.values[name];
+        });
+      }
+      replaceSymbols(root, replacements);
+      Object.entries(icssExports).forEach(([name, value]) => {
+        values[name] = replaceValueSymbols(value, replacements);
+      });
+    }
+  };
+  const result = await runPostcssPlugins({
+    fullPath,
+    css,
+    map,
+    plugins: [postcssModulesValues(), resolveImportedValues]
+  });
+  return { css: result.css, map: result.map, values, dependencies: [...dependencies] };
+};
+
+module.exports = {
+  hasValueRules,
+  resolveValues
+};
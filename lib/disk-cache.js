@@ -0,0 +1,193 @@
+const path = require('path');
+const { createHash } = require('crypto');
+const { readFile, mkdir, readdir, stat, unlink, utimes } = require('fs/promises');
+const fs = require('fs');
+const { version: pluginVersion } = require('../package.json');
+const { pluginName, writeFileAtomic } = require('./utils.js');
+
+const defaultMaxEntries = 5000;
+const staleTmpFileAge = 60 * 60 * 1000;
+// cache dirs pruned by this process, pruning reads stats of all entries so it's done once
+const prunedDirs = new Set();
+
+/**
+ * getLightningcssVersion
+ * @description `lightningcss/package.json` is not exported, so read it from the resolved main file
+ * @returns {string}
+ */
+const getLightningcssVersion = () => {
+  try {
+    const main = require.resolve('lightningcss');
+    const packageJson = path.resolve(path.dirname(main), '../package.json');
+    return JSON.parse(fs.readFileSync(packageJson, 'utf8')).version;
+  } catch (error) {
+    return '';
+  }
+};
+
+/**
+ * @param {any} options
+ * @returns {string}
+ */
+const serializeOptions = (options) => {
+  return JSON.stringify(options, (key, value) => {
+    if (typeof value === 'function' || value instanceof RegExp) {
+      return value.toString();
+    }
+    return value;
+  });
+};
+
+/**
+ * @param {string} file
+ * @returns {Promise<string|void>}
+ */
+const hashFile = async (file) => {
+  const content = await readFile(file).catch(() => null);
+  return content && createHash('sha256').update(content).digest('hex');
+};
+
+/**
+ * persistent cache of transformed css modules, shared by builds and processes.
+ * entries are keyed by content hash, plugin options and versions of this plugin & lightningcss,
+ * hashes of files they depend on (e.g. sass partials) are checked when they are read,
+ * written atomically so that concurrent builds could share the same cache directory,
+ * and evicted by least recently used order.
+ */
+class DiskCache {
+  /**
+   * @param {import('..').Build} build
+   * @param {import('..').Options} options
+   */
+  constructor(build, options) {
+    const { buildRoot, log } = build.context;
+    this.buildRoot = buildRoot;
+    const { dir, maxEntries = defaultMaxEntries } =
+      typeof options.persistentCache === 'object' ? options.persistentCache : {};
+    this.build = build;
+    /**
+     * @type {import('..').Build['context']['log']}
+     */
+    this.log = log;
+    this.dir = path.resolve(buildRoot, dir ?? path.join('node_modules', '.cache', pluginName));
+    this.maxEntries = maxEntries;
+    this.optionsHash = createHash('sha256')
+      .update(`${pluginVersion}\n${getLightningcssVersion()}\n${serializeOptions(options)}`)
+      .digest('hex');
+    this.ready = mkdir(this.dir, { recursive: true }).catch((error) => {
+      this.log(`failed to create persistent cache dir ${this.dir}:`, error.message);
+    });
+  }
+  /**
+   * @param {string} relativePath path relative to build root, which is used to generate class names
+   * @param {Buffer|string} content
+   * @param {string} [extra] anything else the transform result depends on, e.g. package version
+   * @returns {string}
+   */
+  getKey(relativePath, content, extra = '') {
+    return createHash('sha256')
+      .update(this.optionsHash)
+      .update(`\n${relativePath}\n${extra}\n`)
+      .update(content)
+      .digest('hex');
+  }
+  /**
+   * @param {string} key
+   * @returns {string}
+   */
+  getPath(key) {
+    return path.resolve(this.dir, `${key}.json`);
+  }
+  /**
+   * @param {string} key
+   * @returns {Promise<{data: any; dependencies: string[]}|void>} `dependencies` are absolute paths
+   */
+  async get(key) {
+    const file = this.getPath(key);
+    let entry;
+    try {
+      entry = JSON.parse(await readFile(file, { encoding: 'utf8' }));
+    } catch (error) {
+      // missing or being written by another process
+    }
+    if (!entry?.data) {
+      this.log(`persistent cache miss(${key.slice(0, 8)})`);
+      return void 0;
+    }
+    const dependencies = Object.keys(entry.dependencies ?? {}).map((f) => path.resolve(this.buildRoot, f));
+    const hashes = await Promise.all(dependencies.map(hashFile));
+    if (Object.values(entry.dependencies ?? {}).some((hash, i) => hash !== hashes[i])) {
+      this.log(`persistent cache outdated(${key.slice(0, 8)}), dependencies are changed`);
+      return void 0;
+    }
+    const now = new Date();
+    // update mtime so that recently used entries are kept when pruning
+    await utimes(file, now, now).catch(() => void 0);
+    this.log(`persistent cache hit(${key.slice(0, 8)})`);
+    return { data: entry.data, dependencies };
+  }
+  /**
+   * @param {string} key
+   * @param {any} data should be serializable
+   * @param {string[]} [dependencies] absolute paths of files the data depends on, they are stored relative to build root
+   * @returns {Promise<void>}
+   */
+  async set(key, data, dependencies = []) {
+    await this.ready;
+    const hashes = await Promise.all(dependencies.map(hashFile));
+    if (hashes.some((hash) => !hash)) {
+      this.log(`skip persistent cache(${key.slice(0, 8)}), some dependencies are not readable`);
+      return;
+    }
+    const dependencyHashes = {};
+    dependencies.forEach((f, i) => {
+      dependencyHashes[path.relative(this.buildRoot, f).split(path.sep).join(path.posix.sep)] = hashes[i];
+    });
+    try {
+      // readers never see a partial entry
+      await writeFileAtomic(this.getPath(key), JSON.stringify({ data, dependencies: dependencyHashes }));
+    } catch (error) {
+      this.log(`failed to write persistent cache(${key.slice(0, 8)}):`, error.message);
+    }
+  }
+  /**
+   * @description remove least recently used entries if there are more than `maxEntries`,
+   * only the first call of the process prunes the dir, so that rebuilds in watch mode are not slowed down
+   * @returns {Promise<void>}
+   */
+  async prune() {
+    if (prunedDirs.has(this.dir)) {
+      return;
+    }
+    prunedDirs.add(this.dir);
+    await this.ready;
+    const files = await readdir(this.dir).catch(() => []);
+    const now = Date.now();
+    const entries = [];
+    await Promise.all(
+      files.map(async (f) => {
+        const file = path.resolve(this.dir, f);
+        const stats = await stat(file).catch(() => null);
+        if (!stats) {
+          return;
+        }
+        if (f.endsWith('.tmp')) {
+          // left by a process which exited unexpectedly
+          now - stats.mtimeMs > staleTmpFileAge && (await unlink(file).catch(() => void 0));
+          return;
+        }
+        entries.push({ file, mtime: stats.mtimeMs });
+      })
+    );
+    if (entries.length <= this.maxEntries) {
+      return;
+    }
+    const evicted = entries
+      .sort((a, b) => a.mtime - b.mtime)
+      .slice(0, entries.length - this.maxEntries);
+    await Promise.all(evicted.map(({ file }) => unlink(file).catch(() => void 0)));
+    this.log(`evicted ${evicted.length} persistent cache entries`);
+  }
+}
+
+module.exports = DiskCache;
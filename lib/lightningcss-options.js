@@ -0,0 +1,104 @@
+const cssHandler = require('lightningcss');
+const { getRootDir } = require('./utils.js');
+
+/**
+ * esbuild engines => browsers of lightningcss targets
+ */
+const esbuildEngines = {
+  chrome: 'chrome',
+  edge: 'edge',
+  firefox: 'firefox',
+  ie: 'ie',
+  ios: 'ios_saf',
+  opera: 'opera',
+  safari: 'safari'
+};
+
+/**
+ * getTargetsFromEsbuild
+ * @description convert browsers in esbuild's `target` to lightningcss targets, e.g. `['es2020', 'chrome80', 'safari13.1']`
+ * @param {string|string[]} [target]
+ * @returns {import('lightningcss').Targets|void}
+ */
+const getTargetsFromEsbuild = (target) => {
+  const targets = {};
+  [target ?? []].flat().forEach((t) => {
+    const match = t.toLowerCase().match(/^([a-z]+)(\d+)(?:\.(\d+))?(?:\.(\d+))?$/);
+    const browser = match && esbuildEngines[match[1]];
+    if (browser) {
+      const [, , major, minor = 0, patch = 0] = match;
+      // lightningcss encodes versions as `major << 16 | minor << 8 | patch`
+      targets[browser] = (+major << 16) | (+minor << 8) | +patch;
+    }
+  });
+  return Object.keys(targets).length ? targets : void 0;
+};
+
+/**
+ * getTargetsFromBrowserslist
+ * @description `browserslist` is optional, it's resolved from build root so that the version of the project is used
+ * @param {string} buildRoot
+ * @param {string|string[]} [query] read config of the project (`.browserslistrc`, `browserslist` of `package.json`, etc) if not set
+ * @returns {import('lightningcss').Targets|void}
+ */
+const getTargetsFromBrowserslist = (buildRoot, query) => {
+  let browserslist;
+  try {
+    browserslist = require(require.resolve('browserslist', { paths: [buildRoot, __dirname] }));
+  } catch (e) {
+    if (query) {
+      throw new Error('browserslist is required to use queries as targets, please install it');
+    }
+    return void 0;
+  }
+  const q = query ?? browserslist.loadConfig({ path: buildRoot });
+  return q ? cssHandler.browserslistToTargets(browserslist(q, { path: buildRoot })) : void 0;
+};
+
+/**
+ * getLightningcssOptions
+ * @description transpilation options of lightningcss, `targets` comes from `v2LightningcssOption.targets`,
+ * browsers in esbuild's `target`, or browserslist config of the project, in order.
+ * @param {import('..').Build} build
+ * @param {import('..').Options} options
+ * @returns {Pick<import('lightningcss').TransformOptions<{}>, 'targets' | 'drafts' | 'nonStandard' | 'include' | 'exclude' | 'pseudoClasses'>}
+ */
+const getLightningcssOptions = (build, options) => {
+  const { targets, include, exclude, ...rest } = options.v2LightningcssOption ?? {};
+  const buildRoot = build.context?.buildRoot ?? getRootDir(build);
+  /**
+   * @param {number|string[]} [features] e.g. `['Nesting', 'CustomMediaQueries']`
+   * @returns {number|void}
+   */
+  const toFeatureFlags = (features) => {
+    if (!Array.isArray(features)) {
+      return features;
+    }
+    return features.reduce((flags, name) => {
+      const flag = cssHandler.Features?.[name];
+      if (flag === undefined) {
+        throw new Error(`unknown lightningcss feature "${name}" in v2LightningcssOption`);
+      }
+      return flags | flag;
+    }, 0);
+  };
+  const result = {
+    ...rest,
+    targets:
+      targets === false
+        ? void 0
+        : typeof targets === 'object' && !Array.isArray(targets)
+        ? targets
+        : targets
+        ? getTargetsFromBrowserslist(buildRoot, targets)
+        : getTargetsFromEsbuild(build.initialOptions.target) ?? getTargetsFromBrowserslist(buildRoot),
+    include: toFeatureFlags(include),
+    exclude: toFeatureFlags(exclude)
+  };
+  Object.keys(result).forEach((k) => result[k] === undefined && delete result[k]);
+  return result;
+};
+
+module.exports = {
+  getLightningcssOptions
+};
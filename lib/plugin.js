@@ -1,9 +1,15 @@
 const path = require('path');
 const { createHash } = require('crypto');
-const { readFile, writeFile, unlink, appendFile } = require('fs/promises');
+const { readFile } = require('fs/promises');
 const {
   getLogger,
   buildInjectCode,
+  getSourcePathKey,
+  splitCssByModule,
+  sliceSourceMap,
+  getInlineSourceMap,
+  getSourceMapComment,
+  renameIdentifiers,
   pluginName,
   getRootDir,
   pluginNamespace,
@@ -11,132 +17,725 @@ const {
   builtCssSuffix,
   getModulesCssRegExp,
   getBuiltModulesCssRegExp,
+  isGlobalModule,
   getRelativePath,
   getBuildId,
   validateNamedExport,
-  getPackageVersion
+  getLocalsConventionKeys,
+  getNamedExportName,
+  quoteKey,
+  getPackageVersion,
+  buildTypeDeclaration,
+  buildConstDeclaration,
+  writeTypeDeclaration,
+  readOutputFile,
+  emitFile
 } = require('./utils.js');
 const cssHandler = require('lightningcss');
-const camelCase = require('lodash/camelCase');
-const upperFirst = require('lodash/upperFirst');
-const kebabCase = require('lodash/kebabCase');
 const BuildCache = require('./cache.js');
+const DiskCache = require('./disk-cache.js');
+const ClassNamesMinifier = require('./class-names-minifier.js');
+const { getLightningcssOptions } = require('./lightningcss-options.js');
+const { preprocess, toCssExtension } = require('./preprocessors.js');
+const { getPostcssPlugins, runPostcssPlugins, findPostcssConfig } = require('./postcss-plugins.js');
+const { hasValueRules, resolveValues } = require('./css-values.js');
+const { getThemeNames, getThemeTokens, applyThemeTokens } = require('./themes.js');
+const { recordImporter, recordCssModule, checkClassNames } = require('./strict-class-names.js');
+
+const hmrFileName = 'css-modules-hmr.json';
 
 /**
- * buildCssModulesJs
- * @param {{fullPath: string; options: import('..').Options; digest: string; build: import('..').Build}} params
- * @returns {Promise<{resolveDir: string; js: string; css: string; originCss: string; exports: Record<string, string>}>}
+ * applyScopedNameGenerator
+ * @description rename classes (and other scoped names, e.g. keyframes) scoped by lightningcss with `v2CssModulesOption.generateScopedName`,
+ * generated names are checked to be valid and unique in the file.
+ * @param {{code: Buffer; map?: Buffer; exports: import('lightningcss').CSSModuleExports; fullPath: string; contentHash: string; generateScopedName: (name: string, filename: string, hash: string) => string; build: import('..').Build}} params
+ * `contentHash` is the hash of css before theme tokens are resolved
+ * @returns {{code: Buffer; map?: Buffer; exports: import('lightningcss').CSSModuleExports}}
  */
-const buildCssModulesJs = async ({ fullPath, options, build }) => {
-  const cssFileName = path.basename(fullPath); // e.g. xxx.module.css?esbuild-css-modules-plugin-building
-  const { buildId, relative, packageVersion, log } = build.context;
-  const resolveDir = path.dirname(fullPath);
+const applyScopedNameGenerator = ({ code, map, exports, fullPath, contentHash, generateScopedName, build }) => {
+  const rpath = build.context.relative(fullPath).split(path.sep).join(path.posix.sep);
+  /**
+   * name scoped by lightningcss => generated name
+   * @type {Record<string, string>}
+   */
+  const names = {};
+  /**
+   * generated name => local name
+   * @type {Map<string, string>}
+   */
+  const locals = new Map();
+  Object.keys(exports)
+    .sort()
+    .forEach((local) => {
+      const generated = generateScopedName(local, rpath, contentHash);
+      const isDashed = local.startsWith('--');
+      const validName = isDashed ? /^--[\w-]+$/ : /^-?[_a-zA-Z][\w-]*$/;
+      if (typeof generated !== 'string' || !validName.test(generated)) {
+        throw new Error(
+          `generateScopedName returns an invalid ${isDashed ? 'dashed ident' : 'class name'} "${generated}" for "${local}" in ${rpath}`
+        );
+      }
+      if (locals.has(generated)) {
+        throw new Error(
+          `"${local}" and "${locals.get(generated)}" in ${rpath} are both scoped to "${generated}" by generateScopedName, please make it unique`
+        );
+      }
+      locals.set(generated, local);
+      names[exports[local].name] = generated;
+    });
+
+  const renamed = renameIdentifiers(
+    code.toString('utf-8'),
+    map && JSON.parse(map.toString('utf-8')),
+    names
+  );
+  const renamedExports = {};
+  Object.entries(exports).forEach(([local, value]) => {
+    renamedExports[local] = {
+      ...value,
+      name: names[value.name],
+      composes: value.composes.map((c) =>
+        c.type === 'local' ? { ...c, name: names[c.name] ?? c.name } : c
+      )
+    };
+  });
+  return {
+    code: Buffer.from(renamed.css),
+    map: renamed.map && Buffer.from(JSON.stringify(renamed.map)),
+    exports: renamedExports
+  };
+};
+
+/**
+ * transformCssModule
+ * @description transform a single css modules file with lightningcss,
+ * sass/less files are compiled to css first, then postcss plugins (if any) run, `@value`s and tokens of the theme are resolved before css modules are scoped.
+ * with `persistentCache`, all of these steps are skipped if the source and files it depends on are not changed, only scoped names are generated again.
+ * @param {{fullPath: string; options: import('..').Options; build: import('..').Build; importers?: string[]; theme?: string}} params
+ * `importers` are files importing `@value`s from this file, to detect circular imports. `theme` is the default theme if not given
+ * @returns {Promise<{code: Buffer; map?: Buffer; exports: import('lightningcss').CSSModuleExports; keyframes: string[]; values: Record<string, string>; originCss: Buffer; imports: string[]; urls: string[]; dependencies: string[]; dirDependencies: string[]}>}
+ */
+const transformCssModule = async ({ fullPath, options, build, importers = [], theme }) => {
+  const { relative, packageVersion, diskCache, lightningcssOptions, buildRoot } = build.context;
   const classPrefix =
     path.basename(fullPath, path.extname(fullPath)).replace(/[^a-zA-Z0-9]/g, '-') + '__';
   const versionString = packageVersion?.replace(/[^a-zA-Z0-9]/g, '') ?? '';
   const originCss = await readFile(fullPath);
-  const cssModulesOption = options.v2CssModulesOption || {};
-  const genTs = !!options.generateTsFile;
 
+  // `scopeBehaviour`, `globalModulePaths` and `generateScopedName` are options of this plugin, not lightningcss
+  const {
+    scopeBehaviour,
+    globalModulePaths,
+    generateScopedName,
+    dashedIndents,
+    ...cssModulesOption
+  } = options.v2CssModulesOption || {};
+  // global css is not scoped, but still bundled and injected as css modules files
+  const isGlobal = isGlobalModule(build, options, fullPath);
+  // short names of `minifyClassNames` take precedence over `generateScopedName`
+  const { classNamesMinifier } = build.context;
+  const scopedNameGenerator = classNamesMinifier
+    ? (local, rpath) => classNamesMinifier.generate(local, rpath)
+    : generateScopedName;
+
+  // targets may come from esbuild's `target` or browserslist config, which are not in plugin options,
+  // files the result depends on (e.g. sass partials, imported `@value`s and theme files) are checked by the cache
+  const cacheKey = diskCache?.getKey(
+    relative(fullPath),
+    originCss,
+    `${packageVersion}\n${JSON.stringify(lightningcssOptions)}\n${theme ?? ''}`
+  );
+
+  const transformCss = async () => {
+    /**
+     * css compiled from sass/less or processed by postcss, `sources` of `map` are absolute paths
+     * @type {{css: string; map?: any}|void}
+     */
+    let source = await preprocess({ fullPath, buildRoot });
+    // partials of sass/less files, and dependencies reported by postcss plugins
+    const dependencies = [...(source?.dependencies ?? [])];
+    const dirDependencies = [];
+    const postcssPlugins = await getPostcssPlugins(build, options);
+    if (postcssPlugins.length) {
+      source = await runPostcssPlugins({
+        fullPath,
+        css: source?.css ?? originCss,
+        map: source?.map,
+        plugins: postcssPlugins
+      });
+      // options of plugins in the postcss config affect the result as well
+      const postcssConfig = findPostcssConfig(getRootDir(build));
+      dependencies.push(
+        ...[...source.dependencies, postcssConfig].filter(
+          (f) => f && f !== fullPath && !dependencies.includes(f)
+        )
+      );
+      dirDependencies.push(...source.dirDependencies);
+    }
+    /**
+     * `@value`s defined in or imported by this file
+     * @type {Record<string, string>}
+     */
+    let values = {};
+    if (hasValueRules(source?.css ?? originCss.toString('utf-8'))) {
+      source = await resolveValues({
+        fullPath,
+        css: source?.css ?? originCss.toString('utf-8'),
+        map: source?.map,
+        loadValues: (specifier) => loadImportedValues({ specifier, fullPath, options, build, importers })
+      });
+      values = source.values;
+      dependencies.push(...source.dependencies.filter((f) => !dependencies.includes(f)));
+    }
+    // content hash of names generated by `generateScopedName` should be the same in all themes
+    const unthemedCss = source ? Buffer.from(source.css) : originCss;
+    const contentHash = createHash('sha256').update(unthemedCss).digest('hex').slice(0, 8);
+    const themeTokens = await getThemeTokens(build, options, theme);
+    if (themeTokens) {
+      dependencies.push(...themeTokens.files.filter((f) => !dependencies.includes(f)));
+      source =
+        (await applyThemeTokens({
+          fullPath,
+          css: unthemedCss.toString('utf-8'),
+          map: source?.map,
+          tokens: themeTokens.tokens
+        })) ?? source;
+    }
+    const css = source ? Buffer.from(source.css) : originCss;
+
+    const imports = [];
+    const urls = [];
+    const keyframes = [];
+
+    /**
+     * @type {import('lightningcss').BundleOptions}
+     */
+    const bundleConfig = {
+      filename: relative(fullPath), // use relative path to keep hash stable in different machines
+      code: css,
+      minify: false,
+      sourceMap: true,
+      // lightningcss strips leading `/` of absolute sources, use paths relative to build root instead
+      inputSourceMap:
+        source?.map &&
+        JSON.stringify({
+          ...source.map,
+          sources: source.map.sources.map((s) =>
+            path.relative(buildRoot, s).split(path.sep).join(path.posix.sep)
+          )
+        }),
+      ...lightningcssOptions,
+      cssModules: isGlobal
+        ? false
+        : {
+            pattern: `${classPrefix}[local]_[hash]${versionString}`,
+            // `dashedIndents` is kept for compatibility, it's `dashedIdents` of lightningcss
+            ...(dashedIndents != null ? { dashedIdents: dashedIndents } : {}),
+            ...cssModulesOption,
+            // names scoped by lightningcss are replaced by generated ones, they should be unique in the file
+            ...(scopedNameGenerator ? { pattern: `${classPrefix}[local]_[hash]` } : {})
+          },
+      analyzeDependencies: false,
+      visitor: {
+        Rule: {
+          // collect unconditional `@import` rules and remove them from output, they will be bundled by esbuild,
+          // imports with media queries, `supports()` or `layer` are kept as they are.
+          import({ value }) {
+            const { url, media, supports, layer } = value;
+            if (!media?.mediaQueries?.length && !supports && layer == null) {
+              imports.push(url);
+              return [];
+            }
+          },
+          // local names of keyframes, they are exported together with classes by lightningcss
+          keyframes({ value }) {
+            keyframes.push(value.name.value);
+          }
+        },
+        Url({ url }) {
+          urls.push(url);
+        }
+      }
+    };
+    const result = cssHandler.transform(bundleConfig);
+    const { code } = result;
+    // `exports` is null if the file is global css
+    const exports = result.exports ?? {};
+    let { map } = result;
+    if (map && source?.map) {
+      // the compiled css is kept as a source by lightningcss, though mappings point to sources of the input map only
+      const { mappings } = JSON.parse(map.toString('utf-8'));
+      const lines = mappings.split(';').map((_, i) => i);
+      map = Buffer.from(JSON.stringify(sliceSourceMap(JSON.parse(map.toString('utf-8')), lines)));
+    }
+
+    // directories (e.g. content of tailwind) could not be checked cheaply, results depending on them are not cached
+    if (diskCache && !dirDependencies.length) {
+      await diskCache.set(
+        cacheKey,
+        {
+          code: code.toString('base64'),
+          map: map?.toString('base64'),
+          exports,
+          keyframes,
+          imports,
+          urls,
+          values,
+          contentHash
+        },
+        dependencies
+      );
+    }
+
+    return { code, map, exports, keyframes, imports, urls, values, contentHash, dependencies, dirDependencies };
+  };
+
+  const cached = diskCache && (await diskCache.get(cacheKey));
+  // transformed css, before scoped names are generated
+  const transformed = cached
+    ? {
+        ...cached.data,
+        code: Buffer.from(cached.data.code, 'base64'),
+        map: cached.data.map ? Buffer.from(cached.data.map, 'base64') : void 0,
+        dependencies: cached.dependencies,
+        dirDependencies: []
+      }
+    : await transformCss();
+
+  if (scopedNameGenerator && !isGlobal) {
+    Object.assign(
+      transformed,
+      applyScopedNameGenerator({
+        ...transformed,
+        fullPath,
+        generateScopedName: scopedNameGenerator,
+        build
+      })
+    );
+  }
+
+  const { contentHash, ...rest } = transformed;
+  return { ...rest, originCss };
+};
+
+/**
+ * loadImportedValues
+ * @description load `@value`s of a file imported by `@value xxx from './other.module.css'`
+ * @param {{specifier: string; fullPath: string; options: import('..').Options; build: import('..').Build; importers: string[]}} params
+ * @returns {Promise<{values: Record<string, string>; files: string[]}>} `files` are the imported file and files it depends on
+ */
+const loadImportedValues = async ({ specifier, fullPath, options, build, importers }) => {
+  const { relative, log } = build.context;
+  const { path: depPath, errors } = await build.resolve(specifier, {
+    resolveDir: path.dirname(fullPath),
+    kind: 'import-rule'
+  });
+  if (errors.length || !depPath) {
+    throw new Error(`can not resolve "${specifier}" of @value in ${relative(fullPath)}`);
+  }
+  if (depPath === fullPath || importers.includes(depPath)) {
+    throw new Error(
+      `circular @value imports detected: ${[...importers, fullPath, depPath]
+        .map((p) => relative(p))
+        .join(' -> ')}`
+    );
+  }
+  log('resolve @value import', specifier, 'to', relative(depPath));
+  const { values, dependencies } = await transformCssModule({
+    fullPath: depPath,
+    options,
+    build,
+    importers: [...importers, fullPath]
+  });
+  return { values, files: [depPath, ...dependencies] };
+};
+
+/**
+ * resolveCssModulesExports
+ * @description resolve exports of lightningcss to class names, including classes composed from other css modules,
+ * e.g. `composes: a from './other.module.css'`
+ * @param {{fullPath: string; exports: import('lightningcss').CSSModuleExports; options: import('..').Options; build: import('..').Build; importers?: string[]}} params
+ * @returns {Promise<{classNames: Record<string, string>; dependencies: string[]; watchFiles: string[]}>}
+ */
+const resolveCssModulesExports = async ({ fullPath, exports, options, build, importers = [] }) => {
+  const { relative, log } = build.context;
+  const resolveDir = path.dirname(fullPath);
   /**
-   * @type {import('lightningcss').BundleOptions}
+   * @type {Map<string, Promise<Record<string, string>>>}
    */
-  const bundleConfig = {
-    filename: relative(fullPath), // use relative path to keep hash stable in different machines
-    code: originCss,
-    minify: false,
-    sourceMap: true,
-    cssModules: {
-      pattern: `${classPrefix}[local]_[hash]${versionString}`,
-      ...cssModulesOption
-    },
-    analyzeDependencies: false
+  const dependencyClassNames = new Map();
+  const watchFiles = new Set();
+
+  const loadDependency = (specifier) => {
+    if (!dependencyClassNames.has(specifier)) {
+      const load = async () => {
+        const { path: depPath, errors } = await build.resolve(specifier, {
+          resolveDir,
+          kind: 'import-rule'
+        });
+        if (errors.length || !depPath) {
+          throw new Error(`can not resolve "${specifier}" composed in ${relative(fullPath)}`);
+        }
+        if (depPath === fullPath || importers.includes(depPath)) {
+          throw new Error(
+            `circular composes detected: ${[...importers, fullPath, depPath]
+              .map((p) => relative(p))
+              .join(' -> ')}`
+          );
+        }
+        log('resolve composed module', specifier, 'to', relative(depPath));
+        const { exports: depExports, dependencies: depPartials } = await transformCssModule({
+          fullPath: depPath,
+          options,
+          build
+        });
+        const resolved = await resolveCssModulesExports({
+          fullPath: depPath,
+          exports: depExports,
+          options,
+          build,
+          importers: [...importers, fullPath]
+        });
+        watchFiles.add(depPath);
+        depPartials.forEach((f) => watchFiles.add(f));
+        resolved.watchFiles.forEach((f) => watchFiles.add(f));
+        return resolved.classNames;
+      };
+      dependencyClassNames.set(specifier, load());
+    }
+    return dependencyClassNames.get(specifier);
   };
-  const { code, exports = {}, map } = cssHandler.transform(bundleConfig);
-  let cssModulesContent = code.toString('utf-8');
 
-  const cssModulesJSON = {};
+  const classNames = {};
 
-  Object.keys(exports)
-    .sort() // to keep order consistent in different builds
-    .forEach((originClass) => {
-      const patchedClass = exports[originClass].name;
+  for (const originClass of Object.keys(exports).sort()) {
+    // sorted to keep order consistent in different builds
+    const { name, composes = [] } = exports[originClass];
+    const names = [name];
+    for (const composed of composes) {
+      if (composed.type === 'dependency') {
+        const depClassNames = await loadDependency(composed.specifier);
+        if (!depClassNames[composed.name]) {
+          throw new Error(
+            `class "${composed.name}" is not found in "${composed.specifier}", which is composed by "${originClass}" in ${relative(fullPath)}`
+          );
+        }
+        names.push(depClassNames[composed.name]);
+      } else {
+        names.push(composed.name);
+      }
+    }
+    classNames[originClass] = [...new Set(names.join(' ').split(' '))].join(' ');
+  }
+
+  return {
+    classNames,
+    dependencies: [...dependencyClassNames.keys()],
+    watchFiles: [...watchFiles]
+  };
+};
+
+/**
+ * resolveCssImports
+ * @description resolve `@import` rules of a css modules file via esbuild's resolver, e.g. `@import 'pkg/tokens.css'`
+ * @param {{fullPath: string; imports: string[]; build: import('..').Build}} params
+ * @returns {Promise<string[]>} absolute paths of imported files
+ */
+const resolveCssImports = async ({ fullPath, imports, build }) => {
+  const { relative, log } = build.context;
+  const resolveDir = path.dirname(fullPath);
+  return Promise.all(
+    imports.map(async (specifier) => {
+      const { path: importPath, errors } = await build.resolve(specifier, {
+        resolveDir,
+        kind: 'import-rule'
+      });
+      if (errors.length || !importPath) {
+        throw new Error(`can not resolve "${specifier}" imported in ${relative(fullPath)}`);
+      }
+      log('resolve css import', specifier, 'to', relative(importPath));
+      return importPath;
+    })
+  );
+};
+
+/**
+ * appendSourceMap
+ * @description append source map of lightningcss to the css loaded by esbuild.
+ * sources of lightningcss are relative to build root. esbuild resolves them against the css file
+ * when not bundling, otherwise keeps them as they are since the css is in the namespace of this plugin,
+ * use absolute paths in this case, they are relative to output files after `relocateCssSourceMaps`
+ * @param {{code: Buffer; map?: Buffer; fullPath: string; build: import('..').Build}} params
+ * @returns {string}
+ */
+const appendSourceMap = ({ code, map, fullPath, build }) => {
+  const css = code.toString('utf-8');
+  if (!map) {
+    return css;
+  }
+  const resolveDir = path.dirname(fullPath);
+  const sourceMap = JSON.parse(map.toString('utf-8'));
+  sourceMap.sources = sourceMap.sources.map((s) => {
+    const absPath = path.resolve(build.context.buildRoot, s);
+    return build.initialOptions.bundle
+      ? absPath
+      : path.relative(resolveDir, absPath).split(path.sep).join(path.posix.sep);
+  });
+  return `${css}\n${getSourceMapComment(sourceMap)}`;
+};
+
+/**
+ * buildCssModulesJs
+ * @param {{fullPath: string; options: import('..').Options; digest: string; build: import('..').Build}} params
+ * @returns {Promise<{resolveDir: string; js: string; css: string; originCss: string; exports: Record<string, string>; defaultExport: Record<string, string>; namedExports: Record<string, string>; otherExports: string[]; watchFiles: string[]; watchDirs: string[]; imports: string[]; urls: string[]}>}
+ */
+const buildCssModulesJs = async ({ fullPath, options, build }) => {
+  const cssFileName = path.basename(fullPath); // e.g. xxx.module.css?esbuild-css-modules-plugin-building
+  const { buildId, buildRoot, relative } = build.context;
+  const resolveDir = path.dirname(fullPath);
+  const genTs = !!options.generateTsFile;
+
+  const bundle = !!build.initialOptions.bundle;
+  const inject = !!options.inject && bundle;
+  // css of other themes is injected only, see `getThemesOfOutput` in `onEnd`
+  const themeNames = inject ? getThemeNames(options) : [];
 
-      cssModulesJSON[originClass] = patchedClass;
+  const {
+    code,
+    exports,
+    keyframes = [],
+    values,
+    map,
+    originCss,
+    imports,
+    urls,
+    dependencies: partials,
+    dirDependencies
+  } = await transformCssModule({ fullPath, options, build });
+  // imports are kept as they are if not bundling, css modules are imported as `xxx.module.css.js`
+  const cssImports = bundle
+    ? await resolveCssImports({ fullPath, imports, build })
+    : imports.map((p) => getUnbundledImportPath(p, options, buildRoot));
+  const {
+    classNames: cssModulesJSON,
+    dependencies,
+    watchFiles: composedFiles
+  } = await resolveCssModulesExports({ fullPath, exports, options, build });
+  const watchFiles = [
+    ...new Set([...(bundle ? cssImports : []), ...composedFiles, ...partials])
+  ];
+
+  const defaultExport = {};
+  const namedExports = {};
+  // scoped names of keyframes & dashed idents, keyframes are in default export as well like other classes
+  const keyframesExport = {};
+  const customPropertiesExport = {};
+  Object.entries(cssModulesJSON).forEach(([originClass, className]) => {
+    if (originClass.startsWith('--')) {
+      customPropertiesExport[originClass] = exports[originClass].name;
+      return;
+    }
+    if (keyframes.includes(originClass)) {
+      keyframesExport[originClass] = exports[originClass].name;
+    }
+    const keys = getLocalsConventionKeys(originClass, className, relative(fullPath), options);
+    keys.forEach((key) => {
+      defaultExport[key] = className;
     });
-  
+    const namedExportName = getNamedExportName(keys, originClass);
+    if (!validateNamedExport(namedExportName)) {
+      throw new Error(
+        `the class name "${namedExportName}" in file ${fullPath} is a reserved keyword in javascript, please change it to someother word to avoid potential errors`
+      );
+    }
+    if (inject && namedExportName === 'attachStyles') {
+      throw new Error(
+        `the class name "${namedExportName}" in file ${fullPath} conflicts with the exported \`attachStyles\` function, please rename it`
+      );
+    }
+    if (themeNames.length && namedExportName === 'setTheme') {
+      throw new Error(
+        `the class name "${namedExportName}" in file ${fullPath} conflicts with the exported \`setTheme\` function, please rename it`
+      );
+    }
+    namedExports[namedExportName] = className;
+  });
+  // exported only if not empty
+  const groupExports = Object.entries({
+    keyframes: keyframesExport,
+    customProperties: customPropertiesExport,
+    values
+  }).filter(([, group]) => Object.keys(group).length);
+  groupExports.forEach(([name]) => {
+    if (namedExports[name]) {
+      throw new Error(
+        `the class name "${name}" in file ${fullPath} conflicts with the exported \`${name}\`, please rename it`
+      );
+    }
+  });
   const classNamesMapString = `{\n${
-    Object.entries(cssModulesJSON)
-      .map(([name, val]) => [kebabCase(name), val])
-      .map(([name, val]) => `${name.includes('-') ? `'${name}'` : name}: '${val}'`)
+    Object.entries(defaultExport).map(([name, val]) => `${quoteKey(name)}: '${val}'`)
   }\n}`;
 
-  let cssWithSourceMap = cssModulesContent;
-  if (map) {
-    cssWithSourceMap += `\n/*# sourceMappingURL=data:application/json;base64,${map.toString(
-      'base64'
-    )} */`;
-  }
+  const cssWithSourceMap = appendSourceMap({ code, map, fullPath, build });
 
   // fix path issue on Windows: https://github.com/indooorsman/esbuild-css-modules-plugin/issues/12
   const cssImportPath =
     './' +
-    cssFileName.split(path.sep).join(path.posix.sep).trim().replace(buildingCssSuffix, '') +
-    builtCssSuffix;
+    (bundle
+      ? cssFileName.split(path.sep).join(path.posix.sep).trim().replace(buildingCssSuffix, '') +
+        builtCssSuffix
+      : toCssExtension(cssFileName.split(path.sep).join(path.posix.sep).trim()));
   // => ./xxx.module.css?esbuild-css-modules-plugin-built
-  const importStatement = `import "${cssImportPath}";`;
+  // or ./xxx.module.css if not bundling, which is the css emitted by esbuild (for xxx.module.scss as well)
+  // `@import`ed files and composed css modules are imported before the css of current file,
+  // so that esbuild bundles them only once and in the right order.
+  // imported css modules are loaded by this plugin again so they are scoped by themselves.
+  const modulesCssRegExp = getModulesCssRegExp(options, buildRoot);
+  const moduleKey = getSourcePathKey(relative(fullPath));
+  // `attachStyles` of imported css modules are called by `attachStyles` of this file
+  const attachDependencies = [];
+  const importStatement = [
+    ...cssImports,
+    ...(bundle ? dependencies : dependencies.map((p) => getUnbundledImportPath(p, options, buildRoot))),
+    cssImportPath
+  ]
+    .map((p) => {
+      // `@import`ed and composed css modules are loaded as js by this plugin
+      if (inject && p !== cssImportPath && (dependencies.includes(p) || modulesCssRegExp.test(p))) {
+        const local = `__attachStyles${attachDependencies.length}__`;
+        attachDependencies.push(local);
+        return `import { attachStyles as ${local} } from ${JSON.stringify(p)};`;
+      }
+      return `import ${JSON.stringify(p)};`;
+    })
+    .join('\n');
+  // plain css files `@import`ed by this file are attached together with this file
+  const attachKeys = [
+    ...cssImports.filter((p) => !modulesCssRegExp.test(p)).map((p) => getSourcePathKey(relative(p))),
+    moduleKey
+  ];
 
-  const exportStatement = options.inject
+  // css is injected when this file is imported, see `buildInjectCode`
+  const injectStatement = inject
     ? `
-export default new Proxy(${classNamesMapString}, {
-  get: function(source, key) {
-    setTimeout(() => {
-      window.__inject_${buildId}__ && window.__inject_${buildId}__();
-    }, 0);
-    return source[key];
-  }
-});
-  `
-    : `export default ${classNamesMapString};`;
-
-  const namedExportsTs = [];
-  const namedExportStatements = Object.entries(cssModulesJSON)
-    .map(([ccn, className]) => {
-      const camelCaseClassName = camelCase(ccn)
-      if (!validateNamedExport(camelCaseClassName)) {
-        throw new Error(
-          `the class name "${camelCaseClassName}" in file ${fullPath} is a reserved keyword in javascript, please change it to someother word to avoid potential errors`
-        );
+(globalThis.__inject_queue_${buildId}__ = globalThis.__inject_queue_${buildId}__ || []).push(${JSON.stringify(moduleKey)});
+globalThis.__inject_${buildId}__ && globalThis.__inject_${buildId}__();
+export const attachStyles = (root) => {
+${attachDependencies.map((local) => `  ${local}(root);`).join('\n')}
+  globalThis.__inject_queue_${buildId}__.push([${JSON.stringify(attachKeys)}, root]);
+  globalThis.__inject_${buildId}__ && globalThis.__inject_${buildId}__();
+};
+${
+  themeNames.length
+    ? `export const setTheme = (name) => {
+  globalThis.__inject_theme_${buildId}__ = name;
+  globalThis.__set_theme_${buildId}__ && globalThis.__set_theme_${buildId}__(name);
+};
+`
+    : ''
+}`
+    : '';
+
+  // on server, css modules files used while rendering a request are recorded by `esbuild-css-modules-plugin/ssr`,
+  // together with files they compose and `@import`, when they are imported (named exports could not be tracked otherwise)
+  // and when class names of the default export are read
+  const ssrKeys = [
+    ...new Set([
+      moduleKey,
+      ...composedFiles.map((p) => getSourcePathKey(relative(p))),
+      ...attachKeys
+    ])
+  ];
+  const ssrStatement = inject
+    ? `
+const __ssr_touch__ = () => {
+  const ssr = globalThis.__esbuild_css_modules_ssr__;
+  ssr && ssr.touch && ssr.touch(${JSON.stringify(ssrKeys)});
+};
+typeof document === 'undefined' && __ssr_touch__();`
+    : '';
+  const exportStatement = inject
+    ? `const classNames = ${classNamesMapString};
+export default typeof document === 'undefined'
+  ? new Proxy(classNames, {
+      get(source, key) {
+        __ssr_touch__();
+        return source[key];
       }
-      const line = `export const ${camelCaseClassName} = "${className}"`;
-      genTs && namedExportsTs.push(`${line} as const;`);
-      return `${line};`;
     })
-    .join('\n');
+  : classNames`
+    : `export default ${classNamesMapString}`;
+
+  const namedExportStatements = [
+    ...Object.entries(namedExports).map(([name, className]) => `export const ${name} = "${className}";`),
+    ...groupExports.map(([name, group]) => `export const ${name} = ${JSON.stringify(group, null, 2)};`)
+  ].join('\n');
 
-  const js = `${importStatement}\n${exportStatement};\n${namedExportStatements}`;
+  const js = `${importStatement}\n${injectStatement}${ssrStatement}\n${exportStatement};\n${namedExportStatements}`;
 
   if (genTs) {
-    let ts = `export default ${classNamesMapString} as const;\n${namedExportsTs.join('\n')}\n`.replaceAll('"', "'");
-    const tsPath = `${fullPath.replace(/\?.+$/, '')}.ts`;
-    log(tsPath, ts);
-    if(canUsePrettier()) {
-      const prettier = require("prettier")
-      const config = await prettier.resolveConfig("./", { editorconfig: true })
-      ts = prettier.format(ts, Object.assign({}, config, { parser: "typescript" }))
-    }
-    await writeFile(tsPath, ts, { encoding: 'utf-8' });
+    await writeTypeDeclaration({
+      cssFullPath: fullPath,
+      content: buildTypeDeclaration(
+        defaultExport,
+        namedExports,
+        [
+          ...groupExports.map(([name, group]) => buildConstDeclaration(name, group)),
+          ...(inject ? ['export declare const attachStyles: (root: ShadowRoot | Document) => void;'] : []),
+          ...(themeNames.length
+            ? [
+                `export declare const setTheme: (name: ${themeNames
+                  .map((name) => JSON.stringify(name))
+                  .join(' | ')}) => void;`
+              ]
+            : [])
+        ]
+      ),
+      options,
+      build
+    });
   }
 
+  // named exports which are not classes
+  const otherExports = [
+    ...groupExports.map(([name]) => name),
+    ...(inject ? ['attachStyles'] : []),
+    ...(themeNames.length ? ['setTheme'] : [])
+  ];
+
   return {
     js,
     css: cssWithSourceMap,
     originCss: originCss.toString('utf8'),
     exports,
-    resolveDir
+    defaultExport,
+    namedExports,
+    otherExports,
+    resolveDir,
+    watchFiles,
+    watchDirs: dirDependencies,
+    imports,
+    urls
   };
 };
 
+/**
+ * getUnbundledImportPath
+ * @description css modules files are emitted as `xxx.module.css.js` if not bundling,
+ * so relative imports of them should be changed to `xxx.module.css.js`, `xxx.module.scss` => `xxx.module.css.js` as well
+ * @param {string} specifier
+ * @param {import('..').Options} options
+ * @param {string} buildRoot
+ * @returns {string}
+ */
+const getUnbundledImportPath = (specifier, options, buildRoot) => {
+  const isRelative = specifier.startsWith('./') || specifier.startsWith('../');
+  return isRelative && getModulesCssRegExp(options, buildRoot).test(specifier)
+    ? `${toCssExtension(specifier)}.js`
+    : specifier;
+};
+
 /**
  * prepareBuild
  * @param {import('..').Build} build
@@ -158,9 +757,22 @@ const prepareBuild = async (build, options) => {
     packageRoot,
     packageVersion,
     log,
-    relative
+    relative,
+    classNamesUsage: new Map(),
+    modulesExports: new Map(),
+    scopedNames: new Map(),
+    themeTokens: new Map(),
+    unbundledModules: new Map()
   };
-  build.context.cache = new BuildCache(build);
+  build.context.lightningcssOptions = getLightningcssOptions(build, options);
+  log('options of lightningcss:', build.context.lightningcssOptions);
+  build.context.cache = new BuildCache(build, options.memoryCache);
+  if (options.persistentCache) {
+    build.context.diskCache = new DiskCache(build, options);
+  }
+  if (options.minifyClassNames) {
+    build.context.classNamesMinifier = new ClassNamesMinifier(build, options);
+  }
 
   log(`root of this build(#${buildId}):`, buildRoot);
 };
@@ -170,16 +782,21 @@ const prepareBuild = async (build, options) => {
  * @description mark module(s).css as sideEffects and add namespace
  * @param {import('esbuild').OnResolveArgs} args
  * @param {import('..').Build} build
+ * @param {import('..').Options} options
  * @returns {Promise<import('esbuild').OnResolveResult>}
  */
-const onResolveModulesCss = async (args, build) => {
+const onResolveModulesCss = async (args, build, options) => {
   const { resolve, initialOptions, context } = build;
-  const { resolveDir, path: p, pluginData = {}, kind } = args;
+  const { resolveDir, path: p, pluginData = {}, kind, importer, namespace } = args;
   const { log, relative } = context;
   const { path: absPath } = await resolve(typeof p === "string" ? p : p.in, { resolveDir, kind });
   const rpath = relative(absPath);
   log('resolve', p, 'to', rpath, 'from build root');
 
+  if (options.strictClassNames && namespace === 'file' && importer) {
+    recordImporter(build, absPath, importer, p);
+  }
+
   /**
    * @type {import('esbuild').OnResolveResult}
    */
@@ -201,6 +818,42 @@ const onResolveModulesCss = async (args, build) => {
   return result;
 };
 
+/**
+ * collectModulesCss
+ * @description collect exports of loaded css modules file for manifest and `strictClassNames`
+ * @param {import('..').Build} build
+ * @param {import('..').Options} options
+ * @param {string} absPath
+ * @param {import('esbuild').OnLoadResult} result
+ */
+const collectModulesCss = (build, options, absPath, result) => {
+  const { pluginData } = result;
+  build.context.modulesExports.set(pluginData.relativePathToBuildRoot, pluginData.defaultExport);
+  options.strictClassNames && recordCssModule(build, absPath, pluginData);
+  options.v2CssModulesOption?.generateScopedName && checkScopedNames(build, absPath, pluginData);
+};
+
+/**
+ * checkScopedNames
+ * @description names generated by `v2CssModulesOption.generateScopedName` should be unique across css modules files
+ * @param {import('..').Build} build
+ * @param {string} absPath
+ * @param {{exports: import('lightningcss').CSSModuleExports}} pluginData
+ */
+const checkScopedNames = (build, absPath, { exports }) => {
+  const { scopedNames, relative } = build.context;
+  const rpath = relative(absPath);
+  Object.entries(exports).forEach(([local, { name }]) => {
+    const owner = scopedNames.get(name);
+    if (owner && owner.rpath !== rpath) {
+      throw new Error(
+        `"${local}" in ${rpath} and "${owner.local}" in ${owner.rpath} are both scoped to "${name}" by generateScopedName, please make it unique, e.g. with the path or hash`
+      );
+    }
+    scopedNames.set(name, { rpath, local });
+  });
+};
+
 /**
  * onLoadModulesCss
  * @param {import('..').Build} build
@@ -224,13 +877,25 @@ const onLoadModulesCss = async (build, options, args) => {
   const cached = useCache && (await cache.get(absPath));
   if (cached) {
     log('return build cache for', rpath);
+    collectModulesCss(build, options, absPath, cached);
     return cached;
   }
 
   const hex = createHash('sha256').update(rpath).digest('hex');
   const digest = hex.slice(hex.length - 255, hex.length);
 
-  const { js, ts, resolveDir, css, exports, originCss } = await buildCssModulesJs({
+  const {
+    js,
+    resolveDir,
+    css,
+    exports,
+    defaultExport,
+    namedExports,
+    otherExports,
+    originCss,
+    watchFiles,
+    watchDirs
+  } = await buildCssModulesJs({
     fullPath: absPath,
     options,
     digest,
@@ -244,17 +909,86 @@ const onLoadModulesCss = async (build, options, args) => {
       ...pluginData,
       css,
       exports,
+      defaultExport,
+      namedExports,
+      otherExports,
       digest
     },
     contents: js,
-    loader: 'js'
+    loader: 'js',
+    watchFiles,
+    watchDirs
   };
 
-  if (useCache) {
+  // changes in directories (e.g. content files scanned by tailwind) could not be checked by the cache
+  if (useCache && !watchDirs.length) {
     await cache.set(absPath, result, originCss);
     log(`add build result to cache for ${rpath}`);
   }
 
+  collectModulesCss(build, options, absPath, result);
+
+  return result;
+};
+
+/**
+ * onLoadUnbundledModulesCss
+ * @description load xxx.module.css as css when not bundling, the js part is emitted as `xxx.module.css.js` in `onEnd`
+ * @param {import('..').Build} build
+ * @param {import('..').Options} options
+ * @param {import('esbuild').OnLoadArgs} args
+ * @returns {Promise<import('esbuild').OnLoadResult>}
+ */
+const onLoadUnbundledModulesCss = async (build, options, args) => {
+  const { path: absPath } = args;
+  const { buildRoot, log, relative, unbundledModules } = build.context;
+  const rpath = relative(absPath);
+
+  log(`loading ${rpath} without bundling`);
+
+  const {
+    js,
+    resolveDir,
+    css,
+    exports,
+    defaultExport,
+    namedExports,
+    otherExports,
+    watchFiles,
+    watchDirs,
+    imports,
+    urls
+  } = await buildCssModulesJs({
+    fullPath: absPath,
+    options,
+    build
+  });
+  const modulesCssRegExp = getModulesCssRegExp(options, buildRoot);
+  // relative css files imported by `@import` are copied as assets
+  const assets = [
+    ...urls,
+    ...imports.filter((p) => p.startsWith('.') && !modulesCssRegExp.test(p))
+  ];
+
+  const result = {
+    pluginName,
+    resolveDir,
+    pluginData: {
+      relativePathToBuildRoot: rpath,
+      exports,
+      defaultExport,
+      namedExports,
+      otherExports
+    },
+    contents: css,
+    loader: 'css',
+    watchFiles,
+    watchDirs
+  };
+
+  unbundledModules.set(absPath, { js, assets });
+  collectModulesCss(build, options, absPath, result);
+
   return result;
 };
 
@@ -312,6 +1046,356 @@ const onLoadBuiltModulesCss = async ({ pluginData }, build) => {
   return result;
 };
 
+/**
+ * getManifestPath
+ * @param {import('..').Build} build
+ * @param {import('..').Options} options
+ * @returns {string|void}
+ */
+const getManifestPath = (build, options) => {
+  const { outdir, outfile } = build.initialOptions;
+  const { buildRoot } = build.context;
+  const dir = outdir ?? (outfile ? path.dirname(outfile) : undefined);
+  if (!dir) {
+    return void 0;
+  }
+  const filename = typeof options.manifest === 'string' ? options.manifest : 'css-modules.json';
+  return path.resolve(buildRoot, dir, filename);
+};
+
+/**
+ * emitManifest
+ * @description emit a json file which maps path of css modules files (relative to build root) to their exports,
+ * e.g. `{ "./src/app.module.css": { "button": "app-module__button_xxxxxx" } }`,
+ * css files of themes are listed in `themes` if any, e.g. `{ "themes": { "dark": { "app.css": "app.dark.css" } } }`
+ * @param {import('..').Build} build
+ * @param {import('..').Options} options
+ * @param {import('esbuild').BuildResult} result
+ * @param {Record<string, Record<string, string>>} [themesCss] see `emitThemesCss`
+ */
+const emitManifest = async (build, options, result, themesCss) => {
+  const { modulesExports, log } = build.context;
+  const manifestPath = getManifestPath(build, options);
+  if (!manifestPath) {
+    log('no outdir or outfile, skip emitting manifest');
+    return;
+  }
+
+  const manifest = {};
+  [...modulesExports.keys()]
+    .sort() // to keep output stable in different builds
+    .forEach((rpath) => {
+      // use posix path to keep output same in different platforms
+      manifest[rpath.split(path.sep).join(path.posix.sep)] = modulesExports.get(rpath);
+    });
+  // paths of css modules files always start with `.`, so there's no conflict
+  themesCss && (manifest.themes = themesCss);
+  const content = `${JSON.stringify(manifest, null, 2)}\n`;
+
+  await emitFile(build, result, manifestPath, content);
+  log('manifest emitted to', manifestPath);
+};
+
+/**
+ * emitUnbundledModulesJs
+ * @description emit `xxx.module.css.js` next to `xxx.module.css` in outdir when not bundling,
+ * copy relative assets of `url()` so that the output could be published as it is,
+ * and change imports of `xxx.module.css` in js outputs to `xxx.module.css.js`
+ * @param {import('..').Build} build
+ * @param {import('..').Options} options
+ * @param {import('esbuild').BuildResult} result
+ * @returns {Promise<import('esbuild').PartialMessage[]>} errors of css modules files imported but not emitted
+ */
+const emitUnbundledModulesJs = async (build, options, result) => {
+  const { buildRoot, unbundledModules, log, relative } = build.context;
+  const { format, target, outdir, outfile } = build.initialOptions;
+  const absOutdir = path.resolve(buildRoot, outdir ?? path.dirname(outfile ?? '.'));
+  const errors = [];
+
+  await Promise.all(
+    Object.entries(result.metafile?.outputs ?? {}).map(async ([output, { entryPoint }]) => {
+      const outputPath = path.resolve(buildRoot, output);
+
+      if (['.js', '.mjs', '.cjs'].includes(path.extname(outputPath))) {
+        const content = await readOutputFile(build, result, outputPath);
+        const importer = path.resolve(buildRoot, entryPoint ?? output);
+        const missing = new Set();
+        const patched = content.replace(
+          /(\bfrom\s*|\bimport\s*\(?\s*|\brequire\s*\(\s*)(['"])([^'"\n]+)\2/g,
+          (match, prefix, quote, specifier) => {
+            const importPath = getUnbundledImportPath(specifier, options, buildRoot);
+            if (importPath === specifier) {
+              return match;
+            }
+            // `xxx.module.css.js` is only emitted for css modules files in `entryPoints`
+            if (!unbundledModules.has(path.resolve(path.dirname(importer), specifier))) {
+              missing.add(specifier);
+              return match;
+            }
+            return `${prefix}${quote}${importPath}${quote}`;
+          }
+        );
+        missing.forEach((specifier) => {
+          errors.push({
+            pluginName,
+            text: `"${specifier}" is imported in ${relative(importer)} but it is not in \`entryPoints\`, so its js is not emitted, add it to \`entryPoints\` when \`bundle\` is false`
+          });
+        });
+        if (patched !== content) {
+          log('import css modules as js in', relative(outputPath));
+          await emitFile(build, result, outputPath, patched);
+        }
+        return;
+      }
+
+      const module = entryPoint && unbundledModules.get(path.resolve(buildRoot, entryPoint));
+      if (!module || path.extname(outputPath) !== '.css') {
+        return;
+      }
+
+      let { js } = module;
+      if (format === 'cjs') {
+        js = (await build.esbuild.transform(js, { loader: 'js', format, target })).code;
+      }
+      await emitFile(build, result, `${outputPath}.js`, `${js}\n`);
+      log(relative(path.resolve(buildRoot, entryPoint)), '=>', relative(`${outputPath}.js`));
+
+      const sourceDir = path.dirname(path.resolve(buildRoot, entryPoint));
+      await Promise.all(
+        module.assets
+          .filter((url) => !/^([a-z][a-z0-9+.-]*:|\/|#)/i.test(url))
+          .map(async (url) => {
+            const assetPath = url.split(/[?#]/)[0];
+            const from = path.resolve(sourceDir, assetPath);
+            const to = path.resolve(path.dirname(outputPath), assetPath);
+            if (path.relative(absOutdir, to).startsWith('..')) {
+              result.warnings.push({
+                pluginName,
+                text: `"${url}" in ${relative(from)} is outside of outdir, it is not copied`
+              });
+              return;
+            }
+            const content = await readFile(from).catch(() => null);
+            if (!content) {
+              result.warnings.push({
+                pluginName,
+                text: `"${url}" is not found, which is used in ${entryPoint}`
+              });
+              return;
+            }
+            await emitFile(build, result, to, content);
+            log('copy', relative(from), 'to', relative(to));
+          })
+      );
+    })
+  );
+
+  return errors;
+};
+
+/**
+ * relocateCssSourceMaps
+ * @description sources of css modules files are absolute in source maps of css outputs,
+ * esbuild keeps them as they are since the css is loaded in the namespace of this plugin,
+ * make them relative to the output file like other sources.
+ * @param {import('..').Build} build
+ * @param {import('esbuild').BuildResult} result
+ */
+const relocateCssSourceMaps = async (build, result) => {
+  const { buildRoot, log, relative } = build.context;
+  const outputs = result.metafile?.outputs ?? {};
+
+  const relocate = (map, mapPath) => {
+    let changed = false;
+    map.sources = map.sources.map((s) => {
+      if (!path.isAbsolute(s)) {
+        return s;
+      }
+      changed = true;
+      return path.relative(path.dirname(mapPath), s).split(path.sep).join(path.posix.sep);
+    });
+    return changed;
+  };
+
+  await Promise.all(
+    Object.keys(outputs)
+      .filter((o) => path.extname(o) === '.css')
+      .map(async (o) => {
+        const cssPath = path.resolve(buildRoot, o);
+        const mapPath = `${cssPath}.map`;
+        if (outputs[`${o}.map`]) {
+          const map = JSON.parse(await readOutputFile(build, result, mapPath));
+          if (relocate(map, mapPath)) {
+            const content = JSON.stringify(map);
+            await emitFile(build, result, mapPath, content);
+            outputs[`${o}.map`].bytes = Buffer.byteLength(content);
+            log('relocate sources of', relative(mapPath));
+          }
+          return;
+        }
+        const css = await readOutputFile(build, result, cssPath);
+        const map = getInlineSourceMap(css);
+        if (map && relocate(map, cssPath)) {
+          const content = css.replace(/\/\*# sourceMappingURL=[^\n]*\s*$/, `${getSourceMapComment(map)}\n`);
+          await emitFile(build, result, cssPath, content);
+          outputs[o].bytes = Buffer.byteLength(content);
+          log('relocate sources of', relative(cssPath));
+        }
+      })
+  );
+};
+
+/**
+ * buildThemeCss
+ * @description css of an output css file in a theme other than the default one,
+ * inputs of the file are bundled again with css modules files transformed with tokens of the theme,
+ * so that urls are resolved and the css is minified (or not) in the same way.
+ * @param {import('..').Build} build
+ * @param {import('..').Options} options
+ * @param {import('esbuild').BuildResult} result
+ * @param {string} f path of the output css file in metafile
+ * @param {string} theme
+ * @returns {Promise<{css: string; map?: any}|void>} `sources` of `map` are relative to the output file
+ */
+const buildThemeCss = async (build, options, result, f, theme) => {
+  const { initialOptions, esbuild } = build;
+  const { buildRoot, log } = build.context;
+  const { charset = 'utf8', sourcemap, sourcesContent, minify, logLevel, target, external, publicPath } =
+    initialOptions;
+  const cssPath = path.resolve(buildRoot, f);
+  // inputs are imported in the same order as they are in the output
+  const contents = Object.keys(result.metafile.outputs[f].inputs)
+    .map((input) => (input.startsWith(`${pluginNamespace}:`) ? input : getSourcePathKey(input)))
+    .map((p) => `@import ${JSON.stringify(p)};`)
+    .join('\n');
+
+  log(`build css of theme "${theme}" for`, f);
+  const { outputFiles } = await esbuild.build({
+    charset,
+    absWorkingDir: buildRoot,
+    write: false,
+    logLevel,
+    target,
+    minify,
+    publicPath,
+    external,
+    alias: initialOptions.alias,
+    loader: initialOptions.loader,
+    assetNames: initialOptions.assetNames,
+    sourcemap: sourcemap ? 'inline' : false,
+    sourcesContent,
+    stdin: {
+      contents,
+      resolveDir: buildRoot,
+      sourcefile: '.build.theme.css',
+      loader: 'css'
+    },
+    outfile: cssPath,
+    bundle: true,
+    plugins: [
+      {
+        name: `${pluginName}:theme`,
+        setup(b) {
+          b.onResolve({ filter: new RegExp(`^${pluginNamespace}:`) }, (args) => ({
+            namespace: pluginNamespace,
+            path: args.path.slice(pluginNamespace.length + 1)
+          }));
+          // the outer build is already inactive in `onEnd`, `@value` and `composes` imports are resolved by this one
+          const themeBuild = { ...build, resolve: b.resolve };
+          b.onLoad({ filter: /.*/, namespace: pluginNamespace }, async (args) => {
+            const fullPath = path.resolve(buildRoot, args.path.replace(builtCssSuffix, ''));
+            const { code, map } = await transformCssModule({ fullPath, options, build: themeBuild, theme });
+            return {
+              contents: appendSourceMap({ code, map, fullPath, build }),
+              loader: 'css',
+              resolveDir: path.dirname(fullPath)
+            };
+          });
+        }
+      }
+    ]
+  });
+  const output = outputFiles.find((o) => o.path === cssPath);
+  if (!output) {
+    return void 0;
+  }
+  const map = sourcemap ? getInlineSourceMap(output.text) : void 0;
+  if (map) {
+    // sources of css modules files are absolute, see `relocateCssSourceMaps`
+    map.sources = map.sources.map((s) =>
+      path.isAbsolute(s) ? path.relative(path.dirname(cssPath), s).split(path.sep).join(path.posix.sep) : s
+    );
+  }
+  return { css: output.text, map };
+};
+
+/**
+ * emitThemesCss
+ * @description emit css files of themes other than the default one next to output css files when css is not injected,
+ * e.g. `app.dark.css` for `app.css`, they are added to `metafile` as well
+ * @param {import('..').Build} build
+ * @param {import('..').Options} options
+ * @param {import('esbuild').BuildResult} result
+ * @returns {Promise<Record<string, Record<string, string>>>} theme => url of output css file => url of the themed one, relative to outdir
+ */
+const emitThemesCss = async (build, options, result) => {
+  const { buildRoot, log, relative } = build.context;
+  const { sourcemap, outdir, outfile } = build.initialOptions;
+  const absOutdir = path.resolve(buildRoot, outdir ?? path.dirname(outfile ?? '.'));
+  const outputs = result.metafile?.outputs ?? {};
+  const toUrl = (p) => path.relative(absOutdir, p).split(path.sep).join(path.posix.sep);
+  // paths in metafile are relative to build root
+  const toMetafilePath = (p) => path.relative(buildRoot, p).split(path.sep).join(path.posix.sep);
+  // outputs of esbuild only, css files of themes are added to `outputs` below
+  const cssFiles = Object.keys(outputs).filter((o) => path.extname(o) === '.css');
+  const themesCss = {};
+
+  for (const theme of getThemeNames(options).slice(1)) {
+    themesCss[theme] = {};
+    for (const f of cssFiles) {
+      const output = await buildThemeCss(build, options, result, f, theme);
+      if (!output) {
+        continue;
+      }
+      const cssPath = path.resolve(buildRoot, f);
+      const themedPath = path.resolve(
+        path.dirname(cssPath),
+        `${path.basename(cssPath, '.css')}.${theme}.css`
+      );
+      // the comment of stdin is left at the end, since it has no rules itself
+      let css = output.css
+        .replace(/\/\*# sourceMappingURL=[^\n]*\s*$/, '')
+        .replace(/\/\* \.build\.theme\.css \*\/\s*$/, '')
+        .trimEnd();
+      if (output.map && sourcemap === 'inline') {
+        css += `\n${getSourceMapComment(output.map)}`;
+      } else if (output.map) {
+        const mapContent = JSON.stringify(output.map);
+        await emitFile(build, result, `${themedPath}.map`, mapContent);
+        outputs[`${toMetafilePath(themedPath)}.map`] = {
+          bytes: Buffer.byteLength(mapContent),
+          inputs: {},
+          imports: [],
+          exports: []
+        };
+        // `external` source maps are not linked, same as esbuild
+        sourcemap !== 'external' && (css += `\n/*# sourceMappingURL=${path.basename(themedPath)}.map */`);
+      }
+      css += '\n';
+      await emitFile(build, result, themedPath, css);
+      outputs[toMetafilePath(themedPath)] = {
+        bytes: Buffer.byteLength(css),
+        inputs: outputs[f].inputs,
+        imports: [],
+        exports: []
+      };
+      themesCss[theme][toUrl(cssPath)] = toUrl(themedPath);
+      log(`emit css of theme "${theme}"`, relative(themedPath));
+    }
+  }
+  return themesCss;
+};
+
 /**
  * onEnd
  * @param {import('..').Build} build
@@ -322,11 +1406,26 @@ const onEnd = async (build, options, result) => {
   const { initialOptions, context, esbuild } = build;
   const { buildId, buildRoot } = context;
   const log = getLogger(build);
+  // errors pushed to `result.errors` are not reported by esbuild, they should be returned
+  let errors = [];
 
-  if (options.inject) {
+  if (initialOptions.sourcemap) {
+    await relocateCssSourceMaps(build, result);
+  }
+
+  /**
+   * css files of themes emitted when css is not injected
+   * @type {Record<string, Record<string, string>>|void}
+   */
+  let themesCss;
+
+  if (!initialOptions.bundle) {
+    errors = await emitUnbundledModulesJs(build, options, result);
+  } else if (options.inject) {
     const {
       charset = 'utf8',
       outdir,
+      outfile,
       sourceRoot,
       sourcemap,
       sourcesContent,
@@ -338,45 +1437,45 @@ const onEnd = async (build, options, result) => {
       external,
       publicPath
     } = initialOptions;
-    const absOutdir = path.isAbsolute(outdir) ? outdir : path.resolve(buildRoot, outdir);
+    const absOutdir = path.resolve(buildRoot, outdir ?? path.dirname(outfile ?? '.'));
+    const outputs = result.metafile?.outputs ?? {};
 
-    const transformCss = async (css) => {
-      const r = await esbuild.transform(css, {
+    /**
+     * @param {{css: string; map?: any}} chunk
+     * @returns {Promise<string>} minified css, with inline source map if `map` is given
+     */
+    const transformCss = async ({ css, map }) => {
+      const r = await esbuild.transform(map ? `${css}\n${getSourceMapComment(map)}` : css, {
         charset,
         loader: 'css',
-        sourcemap: false,
+        sourcemap: map ? 'inline' : false,
+        sourcesContent,
         minify: true,
         logLevel,
         format,
         target
       });
-      return r.code;
+      return r.code.trim();
     };
 
-    const buildJs = async (entryName, entryPath, jsCode) => {
-      const r = (p) => path.relative(absOutdir, p).split(path.sep).join(path.posix.sep);
-      const imports = `import "./${r(entryPath)}";\nexport * from "./${r(entryPath)}";`;
-      if (sourcemap === 'external') {
-        await appendFile(entryPath, `\n//# sourceMappingURL=${r(entryPath)}.map`, {
-          encoding: 'utf8'
-        });
-      } else if (publicPath && sourcemap) {
-        const fixedPublicPath = publicPath.endsWith('/') ? publicPath : publicPath + '/';
-        const entryContent = await readFile(entryPath, { encoding: 'utf8' });
-        await writeFile(
-          entryPath,
-          entryContent.replace(`sourceMappingURL=${fixedPublicPath}`, 'sourceMappingURL='),
-          { encoding: 'utf8' }
-        );
+    // rebuild the entry in memory, so that it works with `write: false` as well
+    const buildJs = async (entryPath, jsCode) => {
+      let entryContent = await readOutputFile(build, result, entryPath);
+      if (sourcemap && sourcemap !== 'inline') {
+        // inline source map of the entry, so that esbuild could read it without touching disk
+        const map = await readOutputFile(build, result, `${entryPath}.map`).catch(() => '');
+        if (map) {
+          entryContent =
+            entryContent.replace(/\n\/\/# sourceMappingURL=[^\n]*\s*$/, '') +
+            `\n//# sourceMappingURL=data:application/json;base64,${Buffer.from(map).toString('base64')}\n`;
+        }
       }
-      const tmpJsCode = `${imports}\n${jsCode}`;
-      const tmpJsPath = path.resolve(absOutdir, '.build.inject.js');
-      await writeFile(tmpJsPath, tmpJsCode, { encoding: 'utf8' });
-      await esbuild.build({
+      const entryImportPath = `./${path.basename(entryPath)}`;
+      const { outputFiles, metafile } = await esbuild.build({
         charset,
-        absWorkingDir: absOutdir,
-        write: true,
-        allowOverwrite: true,
+        absWorkingDir: buildRoot,
+        write: false,
+        metafile: true,
         treeShaking: false,
         logLevel,
         format,
@@ -386,17 +1485,174 @@ const onEnd = async (build, options, result) => {
         publicPath,
         sourcemap,
         sourcesContent,
-        entryPoints: {
-          [entryName]: tmpJsPath
+        stdin: {
+          contents: `import "${entryImportPath}";\nexport * from "${entryImportPath}";\n${jsCode}`,
+          resolveDir: path.dirname(entryPath),
+          sourcefile: '.build.inject.js',
+          loader: 'js'
         },
-        outdir: absOutdir,
+        outfile: entryPath,
         bundle: true,
-        external
+        external,
+        plugins: [
+          {
+            name: `${pluginName}:inject`,
+            setup(b) {
+              // keep imports of the entry (e.g. chunks when `splitting` is enabled) as they are
+              b.onResolve({ filter: /.*/ }, (args) => {
+                if (args.path === entryImportPath && args.resolveDir === path.dirname(entryPath)) {
+                  // the entry may be in memory only
+                  return { path: entryPath };
+                }
+                if (args.importer === entryPath) {
+                  return { path: args.path, external: true };
+                }
+              });
+              b.onLoad({ filter: /.*/ }, (args) => {
+                if (args.path === entryPath) {
+                  return { contents: entryContent, loader: 'js' };
+                }
+              });
+            }
+          }
+        ]
+      });
+      await Promise.all(outputFiles.map((file) => emitFile(build, result, file.path, file.contents)));
+      Object.keys(metafile.outputs).forEach((o) => {
+        if (outputs[o]) {
+          outputs[o].bytes = metafile.outputs[o].bytes;
+        }
       });
-      await unlink(tmpJsPath);
     };
 
-    const cssContents = [];
+    const hmr = options.hmr && typeof options.inject !== 'function';
+    const modulesCssRegExp = getModulesCssRegExp(options, buildRoot);
+
+    /**
+     * split css of an output css file by module
+     * @param {string} f path of the output css file in metafile
+     * @param {string} css
+     * @param {any} [map] source map of the css, `sources` are relative to the css file
+     * @returns {Promise<{styles: Record<string, string>; modules: Record<string, string[]>; eager: string[]; files: Record<string, string[]>}>}
+     */
+    const splitCssOfOutput = async (f, css, map) => {
+      const styles = {};
+      const modules = {};
+      const eager = [];
+      const cssPath = path.resolve(buildRoot, f);
+      const outputKey = getSourcePathKey(f);
+      const chunks = splitCssByModule(css, outputKey);
+      // url of the file relative to `outdir`
+      const url = path.relative(absOutdir, cssPath).split(path.sep).join(path.posix.sep);
+      if (map && !map.sourceRoot) {
+        // injected css has no url, make sources relative to `outdir` (or `publicPath`) instead of the css file
+        map.sources = map.sources.map((s) =>
+          /^[a-z][a-z0-9+.-]*:/i.test(s)
+            ? s
+            : (publicPath ?? '') + path.posix.join(path.posix.dirname(url), s)
+        );
+      }
+      if (Object.keys(chunks).every((k) => k === outputKey)) {
+        // css of modules could not be split if minified, inject the whole file when any of them is imported
+        Object.keys(outputs[f].inputs).forEach((input) => {
+          const modulePath = getSourcePathKey(input);
+          modules[modulePath] = [outputKey];
+          modulesCssRegExp.test(modulePath) || eager.push(outputKey);
+        });
+      }
+      const transformed = await Promise.all(
+        Object.values(chunks).map(({ css, lines }) =>
+          transformCss({ css, map: map && sliceSourceMap(map, lines) })
+        )
+      );
+      // keep the order in output, which matters for the cascade
+      Object.keys(chunks).forEach((key, i) => {
+        styles[key] = transformed[i];
+        // css not from css modules files, e.g. `import './global.css'` in js, is injected immediately
+        key === outputKey || modulesCssRegExp.test(key) || eager.push(key);
+      });
+      // url of the file => sources in it, for `<link>`s rendered on server
+      const files = { [url]: Object.keys(outputs[f].inputs).map(getSourcePathKey) };
+      return { styles, modules, eager, files };
+    };
+
+    /**
+     * css of an output css file, split by module
+     * @type {Map<string, ReturnType<typeof splitCssOfOutput>>}
+     */
+    const cssOfOutputs = new Map();
+    const getCssOfOutput = (f) => {
+      if (!cssOfOutputs.has(f)) {
+        cssOfOutputs.set(
+          f,
+          (async () => {
+            const cssPath = path.resolve(buildRoot, f);
+            const css = await readOutputFile(build, result, cssPath);
+            let map;
+            if (sourcemap) {
+              map = outputs[`${f}.map`]
+                ? JSON.parse(await readOutputFile(build, result, `${cssPath}.map`))
+                : getInlineSourceMap(css);
+            }
+            return splitCssOfOutput(f, css, map);
+          })()
+        );
+      }
+      return cssOfOutputs.get(f);
+    };
+
+    const themeNames = getThemeNames(options);
+    /**
+     * css of an output css file in themes other than the default one, split by module like `getCssOfOutput`
+     * @type {Map<string, Promise<Record<string, Record<string, string>>>>}
+     */
+    const themesOfOutputs = new Map();
+    const getThemesOfOutput = (f) => {
+      if (!themesOfOutputs.has(f)) {
+        themesOfOutputs.set(
+          f,
+          (async () => {
+            const themes = {};
+            for (const theme of themeNames.slice(1)) {
+              const output = await buildThemeCss(build, options, result, f, theme);
+              if (!output) {
+                continue;
+              }
+              themes[theme] = (await splitCssOfOutput(f, output.css, output.map)).styles;
+            }
+            return themes;
+          })()
+        );
+      }
+      return themesOfOutputs.get(f);
+    };
+
+    const hasCssBundle = Object.values(outputs).some((o) => o.cssBundle);
+    /**
+     * css files needed by an entry, i.e. css bundles of the entry and chunks it imports (statically or dynamically)
+     * @param {string} f
+     * @returns {string[]}
+     */
+    const getCssFilesOfEntry = (f) => {
+      if (!hasCssBundle) {
+        // `cssBundle` is not in metafile of esbuild < 0.17.1, all css files are needed
+        return Object.keys(outputs).filter((o) => path.extname(o) === '.css');
+      }
+      const visited = new Set();
+      const cssFiles = new Set();
+      const visit = (o) => {
+        if (visited.has(o) || !outputs[o]) {
+          return;
+        }
+        visited.add(o);
+        outputs[o].cssBundle && cssFiles.add(outputs[o].cssBundle);
+        outputs[o].imports.forEach(({ path: p }) => visit(p));
+      };
+      visit(f);
+      // css bundle of the entry itself is the last one, so that modules are mapped to it if css could not be split
+      const own = outputs[f].cssBundle;
+      return [...[...cssFiles].filter((c) => c !== own).sort(), ...(own ? [own] : [])];
+    };
 
     let entriesArray = [];
     if (Array.isArray(entryPoints)) {
@@ -412,55 +1668,114 @@ const onEnd = async (build, options, result) => {
 
     log('entries:', entries);
 
-    let entryToInject = null;
-    const outputs = Object.keys(result.metafile?.outputs ?? []);
-
-    await Promise.all(
-      outputs.map(async (f) => {
-        if (
-          !entryToInject &&
-          result.metafile.outputs[f].entryPoint &&
-          entries.includes(path.resolve(buildRoot, result.metafile.outputs[f].entryPoint)) &&
+    const entriesToInject = Object.keys(outputs)
+      .filter(
+        (f) =>
+          outputs[f].entryPoint &&
+          entries.includes(path.resolve(buildRoot, outputs[f].entryPoint)) &&
           ['.js', '.mjs', '.cjs'].includes(path.extname(f))
-        ) {
-          entryToInject = path.resolve(buildRoot, f);
-        }
-        if (path.extname(f) === '.css') {
-          const fullpath = path.resolve(buildRoot, f);
-          const css = await readFile(fullpath, { encoding: 'utf8' });
-          const transformed = await transformCss(css);
-          cssContents.push(`${transformed}`);
+      )
+      .sort();
+
+    const hmrFile = path.resolve(absOutdir, hmrFileName);
+    const hmrStyles = {};
+    const container = typeof options.inject === 'string' ? options.inject : 'head';
+
+    // entries are rebuilt one by one, they share the same temporary file
+    for (const f of entriesToInject) {
+      const cssFiles = getCssFilesOfEntry(f);
+      if (!cssFiles.length) {
+        continue;
+      }
+      const entryToInject = path.resolve(buildRoot, f);
+      const cssData = {
+        styles: {},
+        modules: {},
+        eager: [],
+        files: {},
+        themes: themeNames.length ? {} : void 0
+      };
+      for (const cssFile of cssFiles) {
+        const { styles, modules, eager, files } = await getCssOfOutput(cssFile);
+        Object.assign(cssData.styles, styles);
+        Object.assign(cssData.modules, modules);
+        Object.assign(cssData.files, files);
+        cssData.eager.push(...eager.filter((k) => !cssData.eager.includes(k)));
+        if (cssData.themes) {
+          const themes = await getThemesOfOutput(cssFile);
+          Object.keys(themes).forEach((theme) => {
+            cssData.themes[theme] = Object.assign(cssData.themes[theme] ?? {}, themes[theme]);
+          });
         }
-      })
-    );
+      }
+      if (!Object.keys(cssData.styles).length) {
+        continue;
+      }
+      log('inject css to', path.relative(buildRoot, entryToInject), 'from', cssFiles);
+      let hmrOptions;
+      if (hmr) {
+        Object.assign(hmrStyles, cssData.styles);
+        const url = path
+          .relative(path.dirname(entryToInject), hmrFile)
+          .split(path.sep)
+          .join(path.posix.sep);
+        hmrOptions = { url, format };
+      }
+      const injectedCode = buildInjectCode(container, cssData, buildId, options, hmrOptions);
+      await buildJs(entryToInject, injectedCode);
+    }
 
-    if (entryToInject && cssContents.length) {
-      log('inject css to', path.relative(buildRoot, entryToInject));
-      const entryName = path.basename(entryToInject, path.extname(entryToInject));
-      const allCss = cssContents.join('\n');
-      const container = typeof options.inject === 'string' ? options.inject : 'head';
-      const injectedCode = buildInjectCode(container, allCss, buildId, options);
-      await buildJs(entryName, entryToInject, injectedCode);
+    if (hmr && Object.keys(hmrStyles).length) {
+      const sortedStyles = {};
+      Object.keys(hmrStyles)
+        .sort()
+        .forEach((k) => {
+          sortedStyles[k] = hmrStyles[k];
+        });
+      log('emit', hmrFileName);
+      await emitFile(build, result, hmrFile, JSON.stringify(sortedStyles, null, 2));
     }
+  } else if (getThemeNames(options).length > 1) {
+    themesCss = await emitThemesCss(build, options, result);
+  }
+
+  if (options.manifest && !result.errors.length && !errors.length) {
+    await emitManifest(build, options, result, themesCss);
+  }
+
+  if (context.diskCache) {
+    await context.diskCache.prune();
+  }
+
+  if (context.classNamesMinifier && !result.errors.length && !errors.length) {
+    await context.classNamesMinifier.save();
+  }
+
+  if (initialOptions.watch ?? options.watch) {
+    log('cache stats:', context.cache.getStats());
   }
 
   log('finished');
+
+  return { errors };
 };
 
 /**
- * setup
+ * setupBundle
  * @param {import('..').Build} build
  * @param {import('..').Options} options
- * @returns {Promise<void>}
+ * @param {RegExp} modulesCssRegExp
+ * @param {RegExp} builtModulesCssRegExp
  */
-const setup = async (build, options) => {
-  await prepareBuild(build, options);
-  const modulesCssRegExp = getModulesCssRegExp(options);
-  const builtModulesCssRegExp = getBuiltModulesCssRegExp(options);
-
+const setupBundle = (build, options, modulesCssRegExp, builtModulesCssRegExp) => {
   // resolve xxx.module.css to xxx.module.css?esbuild-css-modules-plugin-building
   build.onResolve({ filter: modulesCssRegExp, namespace: 'file' }, (args) => {
-    return onResolveModulesCss(args, build);
+    return onResolveModulesCss(args, build, options);
+  });
+
+  // resolve css modules composed by other css modules, e.g. `composes: a from './xxx.module.css'`
+  build.onResolve({ filter: modulesCssRegExp, namespace: pluginNamespace }, (args) => {
+    return onResolveModulesCss(args, build, options);
   });
 
   // load xxx.module.css?esbuild-css-modules-plugin-building
@@ -489,25 +1804,49 @@ const setup = async (build, options) => {
       return onLoadBuiltModulesCss(args, build);
     }
   );
+};
+
+/**
+ * setup
+ * @param {import('..').Build} build
+ * @param {import('..').Options} options
+ * @returns {Promise<void>}
+ */
+const setup = async (build, options) => {
+  await prepareBuild(build, options);
+  const { buildRoot } = build.context;
+  const modulesCssRegExp = getModulesCssRegExp(options, buildRoot);
+  const builtModulesCssRegExp = getBuiltModulesCssRegExp(options, buildRoot);
+
+  if (!build.initialOptions.bundle) {
+    // transpile only: xxx.module.css => xxx.module.css & xxx.module.css.js
+    build.onLoad({ filter: modulesCssRegExp, namespace: 'file' }, (args) => {
+      return onLoadUnbundledModulesCss(build, options, args);
+    });
+  } else {
+    setupBundle(build, options, modulesCssRegExp, builtModulesCssRegExp);
+  }
 
-  build.onEnd(async (result) => {
-    onEnd(build, options, result);
+  build.onStart(() => {
+    build.context.modulesExports.clear();
+    build.context.scopedNames.clear();
+    // theme files may be changed in watch mode
+    build.context.themeTokens.clear();
+    build.context.classNamesUsage.clear();
+    build.context.unbundledModules.clear();
   });
-};
 
-let isPrettierInstalled;
-const canUsePrettier = () => {
-  if(isPrettierInstalled === undefined) {
-    try {
-      require.resolve("prettier")
-      isPrettierInstalled = true;
-    } catch(e) {
-      isPrettierInstalled = false;
-    }
+  if (options.strictClassNames) {
+    // check class names used by importers after all modules are loaded
+    build.onEnd(() => {
+      return checkClassNames(build);
+    });
   }
 
-  return isPrettierInstalled;
-}
+  build.onEnd((result) => {
+    return onEnd(build, options, result);
+  });
+};
 
 module.exports = {
   setup
@@ -0,0 +1,162 @@
+const path = require('path');
+const fs = require('fs');
+const { pathToFileURL } = require('url');
+const postcss = require('postcss');
+const { getRootDir } = require('./utils.js');
+
+const configFiles = [
+  'postcss.config.js',
+  'postcss.config.cjs',
+  'postcss.config.mjs',
+  '.postcssrc.js',
+  '.postcssrc.cjs',
+  '.postcssrc.mjs',
+  '.postcssrc.json'
+];
+
+/**
+ * @param {string} file
+ * @returns {Promise<any>}
+ */
+const importConfig = async (file) => {
+  if (file.endsWith('.json')) {
+    return JSON.parse(await fs.promises.readFile(file, { encoding: 'utf8' }));
+  }
+  if (!file.endsWith('.mjs')) {
+    try {
+      return require(file);
+    } catch (error) {
+      if (error.code !== 'ERR_REQUIRE_ESM') {
+        throw error;
+      }
+    }
+  }
+  const mod = await import(pathToFileURL(file).href);
+  return mod.default ?? mod;
+};
+
+/**
+ * findPostcssConfig
+ * @param {string} buildRoot
+ * @returns {string|void} path of the postcss config file in build root
+ */
+const findPostcssConfig = (buildRoot) =>
+  configFiles.map((f) => path.resolve(buildRoot, f)).find((f) => fs.existsSync(f));
+
+/**
+ * loadPostcssConfig
+ * @description load plugins from postcss config of the project in build root, e.g. `postcss.config.js`,
+ * `plugins` could be an array, or an object of plugin names to their options like `{ 'postcss-preset-env': { stage: 1 } }`,
+ * other options of the config are ignored.
+ * @param {string} buildRoot
+ * @returns {Promise<import('postcss').AcceptedPlugin[]>}
+ */
+const loadPostcssConfig = async (buildRoot) => {
+  const file = findPostcssConfig(buildRoot);
+  if (!file) {
+    return [];
+  }
+  let config;
+  try {
+    config = await importConfig(file);
+    if (typeof config === 'function') {
+      config = await config({ env: process.env.NODE_ENV ?? 'development', cwd: buildRoot });
+    }
+  } catch (error) {
+    throw new Error(`failed to load postcss config ${file}: ${error.message}`);
+  }
+  const { plugins = [] } = config ?? {};
+  if (Array.isArray(plugins)) {
+    return plugins.filter(Boolean);
+  }
+  return Object.entries(plugins)
+    .filter(([, pluginOptions]) => pluginOptions !== false)
+    .map(([name, pluginOptions]) => {
+      const mod = require(require.resolve(name, { paths: [buildRoot] }));
+      const plugin = mod.default ?? mod;
+      return pluginOptions && Object.keys(pluginOptions).length ? plugin(pluginOptions) : plugin();
+    });
+};
+
+/**
+ * @type {WeakMap<import('esbuild').PluginBuild, Promise<import('postcss').AcceptedPlugin[]>>}
+ */
+const pluginsOfBuilds = new WeakMap();
+
+/**
+ * getPostcssPlugins
+ * @description plugins of postcss config of the project followed by `postcssPlugins` option, loaded once per build
+ * @param {import('esbuild').PluginBuild} build
+ * @param {import('..').Options} options
+ * @returns {Promise<import('postcss').AcceptedPlugin[]>}
+ */
+const getPostcssPlugins = (build, options) => {
+  if (!pluginsOfBuilds.has(build)) {
+    pluginsOfBuilds.set(
+      build,
+      loadPostcssConfig(getRootDir(build)).then((plugins) => [
+        ...plugins,
+        ...(options.postcssPlugins ?? [])
+      ])
+    );
+  }
+  return pluginsOfBuilds.get(build);
+};
+
+/**
+ * getPostcssDependencies
+ * @description files and directories reported by postcss plugins via `dependency` and `dir-dependency` messages,
+ * e.g. content files scanned by tailwind
+ * @param {import('postcss').Message[]} messages
+ * @returns {{dependencies: string[]; dirDependencies: string[]}}
+ */
+const getPostcssDependencies = (messages) => {
+  const dependencies = new Set();
+  const dirDependencies = new Set();
+  messages.forEach((message) => {
+    if (message.type === 'dependency' && message.file) {
+      dependencies.add(message.file);
+    } else if (message.type === 'dir-dependency' && message.dir) {
+      dirDependencies.add(message.dir);
+    }
+  });
+  return { dependencies: [...dependencies], dirDependencies: [...dirDependencies] };
+};
+
+/**
+ * runPostcssPlugins
+ * @description run postcss plugins before css modules are scoped by lightningcss in v2
+ * @param {{fullPath: string; css: string|Buffer; map?: any; plugins: import('postcss').AcceptedPlugin[]}} params
+ * `sources` of `map` are absolute paths
+ * @returns {Promise<{css: string; map: any; dependencies: string[]; dirDependencies: string[]}>} `sources` of `map` are absolute paths
+ */
+const runPostcssPlugins = async ({ fullPath, css, map, plugins }) => {
+  const resolveDir = path.dirname(fullPath);
+  const result = await postcss(plugins).process(css.toString(), {
+    from: fullPath,
+    // sources of the output map are relative to `to`
+    to: fullPath,
+    map: {
+      inline: false,
+      annotation: false,
+      sourcesContent: true,
+      prev: map && {
+        ...map,
+        sources: map.sources.map((s) => path.relative(resolveDir, s).split(path.sep).join(path.posix.sep))
+      }
+    }
+  });
+  const outputMap = result.map.toJSON();
+  return {
+    css: result.css,
+    map: { ...outputMap, sources: outputMap.sources.map((s) => path.resolve(resolveDir, s)) },
+    ...getPostcssDependencies(result.messages)
+  };
+};
+
+module.exports = {
+  getPostcssPlugins,
+  getPostcssDependencies,
+  runPostcssPlugins,
+  findPostcssConfig
+};
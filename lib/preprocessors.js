@@ -0,0 +1,172 @@
+const path = require('path');
+const { readFile } = require('fs/promises');
+const { fileURLToPath } = require('url');
+
+/**
+ * @type {Map<string, any>}
+ */
+const installedPackages = new Map();
+
+/**
+ * requireOptional
+ * @description preprocessors are optional, they are resolved from build root first so that the version of the project is used
+ * @param {string} name
+ * @param {string} buildRoot
+ * @returns {any} `null` if not installed
+ */
+const requireOptional = (name, buildRoot) => {
+  const key = `${buildRoot}:${name}`;
+  if (!installedPackages.has(key)) {
+    try {
+      installedPackages.set(key, require(require.resolve(name, { paths: [buildRoot, __dirname] })));
+    } catch (e) {
+      installedPackages.set(key, null);
+    }
+  }
+  return installedPackages.get(key);
+};
+
+/**
+ * @type {Map<string, boolean>}
+ */
+const resolvablePackages = new Map();
+
+/**
+ * canResolve
+ * @description resolve without requiring, so that preprocessors are not loaded until a file needs them
+ * @param {string} name
+ * @param {string} buildRoot
+ * @returns {boolean}
+ */
+const canResolve = (name, buildRoot) => {
+  const key = `${buildRoot}:${name}`;
+  if (!resolvablePackages.has(key)) {
+    try {
+      require.resolve(name, { paths: [buildRoot, __dirname] });
+      resolvablePackages.set(key, true);
+    } catch (e) {
+      resolvablePackages.set(key, false);
+    }
+  }
+  return resolvablePackages.get(key);
+};
+
+/**
+ * @param {string|URL} url
+ * @returns {string}
+ */
+const toFilePath = (url) => {
+  const str = String(url);
+  return str.startsWith('file:') ? fileURLToPath(str) : str;
+};
+
+/**
+ * @typedef {{css: string; map?: any; dependencies: string[]}} PreprocessResult
+ * `sources` of `map` and `dependencies` are absolute paths
+ */
+
+/**
+ * @type {{name: string; extensions: string[]; compile: (compiler: any, params: {fullPath: string; buildRoot: string}) => Promise<PreprocessResult>}[]}
+ */
+const preprocessors = [
+  {
+    name: 'sass',
+    extensions: ['.scss', '.sass'],
+    async compile(sass, { fullPath, buildRoot }) {
+      const { css, sourceMap, loadedUrls } = await sass.compileAsync(fullPath, {
+        style: 'expanded',
+        sourceMap: true,
+        sourceMapIncludeSources: true,
+        loadPaths: [path.resolve(buildRoot, 'node_modules')]
+      });
+      return {
+        css,
+        map: sourceMap && { ...sourceMap, sources: sourceMap.sources.map(toFilePath) },
+        dependencies: loadedUrls.map(toFilePath)
+      };
+    }
+  },
+  {
+    name: 'less',
+    extensions: ['.less'],
+    async compile(less, { fullPath, buildRoot }) {
+      const resolveDir = path.dirname(fullPath);
+      const { css, map, imports } = await less.render(await readFile(fullPath, { encoding: 'utf8' }), {
+        filename: fullPath,
+        paths: [resolveDir, path.resolve(buildRoot, 'node_modules')],
+        sourceMap: { outputSourceFiles: true }
+      });
+      const sourceMap = map ? JSON.parse(map) : void 0;
+      return {
+        css,
+        map: sourceMap && {
+          ...sourceMap,
+          sources: sourceMap.sources.map((s) => path.resolve(resolveDir, s))
+        },
+        dependencies: imports.map((f) => path.resolve(resolveDir, f))
+      };
+    }
+  }
+];
+
+const preprocessorExtensions = preprocessors.flatMap(({ extensions }) => extensions);
+const preprocessorExtRegExp = new RegExp(
+  `(${preprocessorExtensions.map((ext) => `\\${ext}`).join('|')})$`,
+  'i'
+);
+
+/**
+ * getInstalledPreprocessorExtensions
+ * @description extensions of preprocessors which could be resolved from build root, e.g. `['.scss', '.sass']` if only sass is installed
+ * @param {string} buildRoot
+ * @returns {string[]}
+ */
+const getInstalledPreprocessorExtensions = (buildRoot) =>
+  preprocessors.filter(({ name }) => canResolve(name, buildRoot)).flatMap(({ extensions }) => extensions);
+
+/**
+ * getPreprocessor
+ * @param {string} filePath
+ */
+const getPreprocessor = (filePath) => {
+  const ext = path.extname(filePath).toLowerCase();
+  return preprocessors.find(({ extensions }) => extensions.includes(ext));
+};
+
+/**
+ * preprocess
+ * @description compile `xxx.module.scss`, `xxx.module.sass` and `xxx.module.less` to css with sass or less, if installed
+ * @param {{fullPath: string; buildRoot: string}} params
+ * @returns {Promise<PreprocessResult|void>} nothing if the file is css already
+ */
+const preprocess = async ({ fullPath, buildRoot }) => {
+  const preprocessor = getPreprocessor(fullPath);
+  if (!preprocessor) {
+    return void 0;
+  }
+  const compiler = requireOptional(preprocessor.name, buildRoot);
+  if (!compiler) {
+    // the default filter of v2 only includes extensions of installed preprocessors (see `getModulesCssRegExp`),
+    // so the file is matched by `filter` of options here, or composed by a css modules file
+    throw new Error(
+      `"${preprocessor.name}" is required to compile ${path.basename(fullPath)}, please install it or exclude the file from \`filter\``
+    );
+  }
+  const result = await preprocessor.compile(compiler, { fullPath, buildRoot });
+  return { ...result, dependencies: result.dependencies.filter((f) => f !== fullPath) };
+};
+
+/**
+ * toCssExtension
+ * @description esbuild emits `xxx.module.css` for `xxx.module.scss` etc. when not bundling
+ * @param {string} filePath
+ * @returns {string}
+ */
+const toCssExtension = (filePath) => filePath.replace(preprocessorExtRegExp, '.css');
+
+module.exports = {
+  preprocessorExtensions,
+  getInstalledPreprocessorExtensions,
+  preprocess,
+  toCssExtension
+};
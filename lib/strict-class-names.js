@@ -0,0 +1,428 @@
+const { readFile } = require('fs/promises');
+const { pluginName } = require('./utils.js');
+
+const identifierSource = '[a-zA-Z_$][\\w$]*';
+
+/**
+ * @param {string} str
+ * @returns {string}
+ */
+const escapeRegExp = (str) => str.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+/**
+ * getUsageRecord
+ * @param {import('..').Build} build
+ * @param {string} absPath absolute path of the css modules file
+ */
+const getUsageRecord = (build, absPath) => {
+  const { classNamesUsage } = build.context;
+  if (!classNamesUsage.has(absPath)) {
+    classNamesUsage.set(absPath, { importers: new Map(), module: null });
+  }
+  return classNamesUsage.get(absPath);
+};
+
+/**
+ * recordImporter
+ * @description record a js(x)/ts(x) file which imports a css modules file
+ * @param {import('..').Build} build
+ * @param {string} absPath absolute path of the css modules file
+ * @param {string} importer absolute path of the importer
+ * @param {string} specifier the path in import statement, e.g. `./app.module.css`
+ */
+const recordImporter = (build, absPath, importer, specifier) => {
+  const { importers } = getUsageRecord(build, absPath);
+  if (!importers.has(importer)) {
+    importers.set(importer, new Set());
+  }
+  importers.get(importer).add(specifier);
+};
+
+/**
+ * recordCssModule
+ * @description record what a css modules file exports, from `pluginData` of its load result
+ * @param {import('..').Build} build
+ * @param {string} absPath absolute path of the css modules file
+ * @param {{exports: import('lightningcss').CSSModuleExports; defaultExport: Record<string, string>; namedExports: Record<string, string>; otherExports?: string[]; relativePathToBuildRoot: string}} pluginData
+ * `otherExports` are named exports which are not classes, e.g. `attachStyles` and `keyframes`
+ */
+const recordCssModule = (build, absPath, pluginData) => {
+  const { exports, defaultExport, namedExports, otherExports = [], relativePathToBuildRoot } = pluginData;
+  getUsageRecord(build, absPath).module = {
+    exports,
+    defaultExport,
+    namedExports,
+    otherExports,
+    rpath: relativePathToBuildRoot
+  };
+};
+
+/**
+ * getLocation
+ * @param {string} file
+ * @param {string} source
+ * @param {number} index
+ * @param {number} length
+ * @returns {Partial<import('esbuild').Location>}
+ */
+const getLocation = (file, source, index, length) => {
+  const before = source.slice(0, index);
+  const lineStart = before.lastIndexOf('\n') + 1;
+  const lineEnd = source.indexOf('\n', index);
+  return {
+    file,
+    line: before.split('\n').length,
+    column: index - lineStart,
+    length,
+    lineText: source.slice(lineStart, lineEnd === -1 ? undefined : lineEnd)
+  };
+};
+
+// a regular expression literal could follow these characters or keywords, otherwise `/` is division
+const regExpPrecedingChars = '(,=:[!&|?{;+-*%~^';
+const regExpPrecedingKeywords = ['return', 'typeof', 'case', 'do', 'else', 'in', 'of', 'new', 'delete', 'void', 'throw'];
+
+/**
+ * maskSource
+ * @description blank out comments, and contents of string, template and regular expression literals,
+ * so that they are never taken as code, positions in the masked source are the same as in the original one.
+ * quotes are kept, contents of literals could be read from the original source at the same positions.
+ * @param {string} source
+ * @returns {string}
+ */
+const maskSource = (source) => {
+  const chars = source.split('');
+  const blank = (from, to) => {
+    for (let k = from; k < to; k++) {
+      chars[k] !== '\n' && (chars[k] = ' ');
+    }
+  };
+  // depth of braces where `${` of template literals are opened
+  const templates = [];
+  let braces = 0;
+  let last = '';
+  let lastWord = '';
+
+  /**
+   * @param {number} start position after the opening backtick or the `}` of a substitution
+   * @returns {number} position to continue scanning code
+   */
+  const scanTemplate = (start) => {
+    let j = start;
+    while (j < source.length) {
+      if (source[j] === '\\') {
+        j += 2;
+      } else if (source[j] === '`') {
+        blank(start, j);
+        return j + 1;
+      } else if (source[j] === '$' && source[j + 1] === '{') {
+        blank(start, j);
+        templates.push(braces);
+        return j + 2;
+      } else {
+        j++;
+      }
+    }
+    blank(start, j);
+    return j;
+  };
+
+  let i = 0;
+  while (i < source.length) {
+    const c = source[i];
+    if (c === '/' && source[i + 1] === '/') {
+      const end = source.indexOf('\n', i);
+      const to = end === -1 ? source.length : end;
+      blank(i, to);
+      i = to;
+      continue;
+    }
+    if (c === '/' && source[i + 1] === '*') {
+      const end = source.indexOf('*/', i + 2);
+      const to = end === -1 ? source.length : end + 2;
+      blank(i, to);
+      i = to;
+      continue;
+    }
+    if (c === '"' || c === "'") {
+      let j = i + 1;
+      while (j < source.length && source[j] !== c && source[j] !== '\n') {
+        j += source[j] === '\\' ? 2 : 1;
+      }
+      blank(i + 1, j);
+      i = j + 1;
+      last = c;
+      continue;
+    }
+    if (c === '`') {
+      i = scanTemplate(i + 1);
+      last = c;
+      continue;
+    }
+    if (c === '}' && templates.length && templates[templates.length - 1] === braces) {
+      templates.pop();
+      i = scanTemplate(i + 1);
+      last = '`';
+      continue;
+    }
+    if (
+      c === '/' &&
+      (last === '' || regExpPrecedingChars.includes(last) || regExpPrecedingKeywords.includes(lastWord))
+    ) {
+      let j = i + 1;
+      let inClass = false;
+      while (j < source.length && source[j] !== '\n' && (inClass || source[j] !== '/')) {
+        source[j] === '[' && (inClass = true);
+        source[j] === ']' && (inClass = false);
+        j += source[j] === '\\' ? 2 : 1;
+      }
+      // not terminated in the line, e.g. `/` of jsx closing tags
+      if (source[j] === '/') {
+        blank(i + 1, j);
+        i = j + 1;
+        last = '/';
+        lastWord = '';
+        continue;
+      }
+    }
+    c === '{' && braces++;
+    c === '}' && braces--;
+    if (/[\w$]/.test(c)) {
+      const word = source.slice(i).match(/^[\w$]+/)[0];
+      lastWord = word;
+      last = word[word.length - 1];
+      i += word.length;
+      continue;
+    }
+    if (!/\s/.test(c)) {
+      last = c;
+      lastWord = '';
+    }
+    i++;
+  }
+  return chars.join('');
+};
+
+/**
+ * isShadowed
+ * @description whether the binding is declared again in the file, e.g. `const styles = ...` or `(styles) => ...`,
+ * accesses of it could not be told from the ones of the import without scope analysis
+ * @param {string} code masked source
+ * @param {string} binding
+ * @returns {boolean}
+ */
+const isShadowed = (code, binding) => {
+  const name = escapeRegExp(binding);
+  const word = `(?<![\\w$.])${name}(?![\\w$])`;
+  return [
+    // declarations, including destructuring
+    new RegExp(`\\b(?:const|let|var|function|class)\\s+${name}(?![\\w$])`),
+    new RegExp(`\\b(?:const|let|var)\\s*[[{][^=;]*${word}`),
+    // parameters of functions, arrow functions and catch clauses
+    new RegExp(`\\bfunction\\b[^(]*\\([^)]*${word}`),
+    new RegExp(`\\([^()]*${word}[^()]*\\)\\s*=>`),
+    new RegExp(`${word}\\s*=>`),
+    new RegExp(`\\bcatch\\s*\\(\\s*${name}(?![\\w$])`)
+  ].some((regExp) => regExp.test(code));
+};
+
+/**
+ * parseImports
+ * @description find bindings of `import ... from '<specifier>'` statements
+ * @param {string} source
+ * @param {string} code masked source, see `maskSource`
+ * @param {string} specifier
+ * @returns {{bindings: {local: string; kind: 'default' | 'namespace'}[]; named: {imported: string; index: number}[]; ranges: [number, number][]}}
+ * `ranges` are ranges of all import statements in source, not only the ones of `specifier`
+ */
+const parseImports = (source, code, specifier) => {
+  const importRegExp = /import\s+([^'";]*?)\s*from\s*(['"])([^'"\n]*)\2/g;
+  const bindings = [];
+  const named = [];
+  const ranges = [];
+  let match;
+  while ((match = importRegExp.exec(code))) {
+    const clause = match[1];
+    ranges.push([match.index, match.index + match[0].length]);
+    const specifierStart = match.index + match[0].length - match[3].length - 1;
+    if (source.slice(specifierStart, specifierStart + match[3].length) !== specifier || /^type\s/.test(clause)) {
+      continue;
+    }
+    const defaultMatch = clause.match(new RegExp(`^(${identifierSource})\\s*(,|$)`));
+    if (defaultMatch) {
+      bindings.push({ local: defaultMatch[1], kind: 'default' });
+    }
+    const namespaceMatch = clause.match(new RegExp(`\\*\\s*as\\s+(${identifierSource})`));
+    if (namespaceMatch) {
+      bindings.push({ local: namespaceMatch[1], kind: 'namespace' });
+    }
+    const namedMatch = clause.match(/\{([^}]*)\}/);
+    if (namedMatch) {
+      const namedStart = match.index + match[0].indexOf(namedMatch[0]) + 1;
+      let offset = 0;
+      namedMatch[1].split(',').forEach((item) => {
+        const imported = item.trim().split(/\s+as\s+/)[0];
+        if (imported && !/^type\s/.test(imported)) {
+          named.push({ imported, index: namedStart + offset + item.indexOf(imported) });
+        }
+        offset += item.length + 1;
+      });
+    }
+  }
+  return { bindings, named, ranges };
+};
+
+/**
+ * findMemberAccesses
+ * @description find `binding.xxx`, `binding?.xxx` and `binding['xxx']`,
+ * any other usage of the binding (e.g. `binding[name]`) is considered as dynamic access
+ * @param {string} source
+ * @param {string} code masked source, see `maskSource`
+ * @param {string} binding
+ * @param {[number, number][]} excludedRanges
+ * @returns {{members: {name: string; index: number; next?: string}[]; dynamic: boolean}}
+ */
+const findMemberAccesses = (source, code, binding, excludedRanges) => {
+  const bindingRegExp = new RegExp(`(?<![\\w$.])${escapeRegExp(binding)}(?![\\w$])`, 'g');
+  const memberRegExp = new RegExp(
+    `\\s*(?:\\??\\.\\s*(${identifierSource})|(?:\\?\\.)?\\[\\s*(['"\`])([^'"\`\\n]+)\\2\\s*\\])`,
+    'y'
+  );
+  const members = [];
+  let dynamic = false;
+  let match;
+  // names in brackets are blanked in the masked source, read them from the original one
+  const getName = (member) => {
+    if (member[1]) {
+      return { name: member[1], offset: member[0].indexOf(member[1]) };
+    }
+    const offset = member[0].indexOf(member[2]) + 1;
+    return {
+      name: source.slice(member.index + offset, member.index + offset + member[3].length),
+      offset
+    };
+  };
+  while ((match = bindingRegExp.exec(code))) {
+    const start = match.index;
+    if (excludedRanges.some(([from, to]) => start >= from && start < to)) {
+      continue;
+    }
+    memberRegExp.lastIndex = start + binding.length;
+    const member = memberRegExp.exec(code);
+    if (!member || !(member[1] ?? member[3]).trim()) {
+      dynamic = true;
+      continue;
+    }
+    const { name, offset } = getName(member);
+    const index = start + binding.length + offset;
+    memberRegExp.lastIndex = start + binding.length + member[0].length;
+    const next = memberRegExp.exec(code);
+    members.push({ name, index, next: next ? getName(next).name : undefined });
+  }
+  return { members, dynamic };
+};
+
+/**
+ * checkClassNames
+ * @description check class names used by importers of css modules files,
+ * returns errors for classes not defined and warnings for classes never referenced
+ * @param {import('..').Build} build
+ * @returns {Promise<import('esbuild').OnEndResult>}
+ */
+const checkClassNames = async (build) => {
+  const { classNamesUsage, relative, log } = build.context;
+  const errors = [];
+  const warnings = [];
+
+  // classes composed by other classes are considered as referenced
+  const composedClassNames = new Set();
+  classNamesUsage.forEach(({ module }) => {
+    Object.values(module?.defaultExport ?? {}).forEach((val) => {
+      val
+        .split(' ')
+        .slice(1)
+        .forEach((c) => composedClassNames.add(c));
+    });
+  });
+
+  for (const { importers, module } of classNamesUsage.values()) {
+    if (!module) {
+      continue;
+    }
+    const { exports, defaultExport, namedExports, otherExports, rpath } = module;
+    const referenced = new Set();
+    let dynamic = false;
+
+    const check = (name, validNames, file, source, index) => {
+      // named exports generated by this plugin, e.g. `attachStyles`, `setTheme` and `keyframes`
+      if (validNames === namedExports && otherExports.includes(name)) {
+        return;
+      }
+      if (Object.prototype.hasOwnProperty.call(validNames, name)) {
+        referenced.add(validNames[name].split(' ')[0]);
+        return;
+      }
+      errors.push({
+        pluginName,
+        text: `class "${name}" is not defined in ${rpath}`,
+        location: getLocation(relative(file), source, index, name.length)
+      });
+    };
+
+    for (const [importer, specifiers] of importers) {
+      const source = await readFile(importer, { encoding: 'utf8' }).catch(() => '');
+      // comments and literals are not code, e.g. `// styles.xxx` or `'styles.xxx'`
+      const code = maskSource(source);
+      for (const specifier of specifiers) {
+        const { bindings, named, ranges } = parseImports(source, code, specifier);
+        named.forEach(({ imported, index }) => {
+          check(imported, namedExports, importer, source, index);
+        });
+        bindings.forEach(({ local, kind }) => {
+          if (isShadowed(code, local)) {
+            log(`"${local}" is declared again in ${relative(importer)}, skip checking its accesses`);
+            dynamic = true;
+            return;
+          }
+          const accesses = findMemberAccesses(source, code, local, ranges);
+          dynamic = dynamic || accesses.dynamic;
+          accesses.members.forEach(({ name, index, next }) => {
+            if (kind === 'default') {
+              check(name, defaultExport, importer, source, index);
+            } else if (name !== 'default') {
+              check(name, namedExports, importer, source, index);
+            } else if (next) {
+              check(next, defaultExport, importer, source, source.indexOf(next, index + name.length));
+            } else {
+              dynamic = true;
+            }
+          });
+        });
+      }
+    }
+
+    if (dynamic || !importers.size) {
+      log(`skip checking unused classes of ${rpath}`);
+      continue;
+    }
+
+    Object.keys(exports ?? {}).forEach((originClass) => {
+      const { name, isReferenced } = exports[originClass];
+      if (isReferenced || referenced.has(name) || composedClassNames.has(name)) {
+        return;
+      }
+      warnings.push({
+        pluginName,
+        text: `class "${originClass}" is defined in ${rpath} but never used`
+      });
+    });
+  }
+
+  return { errors, warnings };
+};
+
+module.exports = {
+  recordImporter,
+  recordCssModule,
+  checkClassNames
+};
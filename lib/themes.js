@@ -0,0 +1,168 @@
+const path = require('path');
+const { readFile } = require('fs/promises');
+const postcss = require('postcss');
+const { runPostcssPlugins } = require('./postcss-plugins.js');
+
+/**
+ * getThemeNames
+ * @param {import('..').Options} options
+ * @returns {string[]} the first one is the default theme
+ */
+const getThemeNames = (options) => Object.keys(options.themes ?? {});
+
+/**
+ * replaceVars
+ * @description replace `var(--name)` and `var(--name, fallback)` with values of known tokens, others are kept as they are
+ * @param {string} value
+ * @param {(name: string) => string|void} getToken
+ * @returns {string}
+ */
+const replaceVars = (value, getToken) => {
+  const varRegExp = /var\(\s*(--[\w-]+)\s*/i;
+  let result = '';
+  let rest = value;
+  let match;
+  while ((match = rest.match(varRegExp))) {
+    const head = match.index + match[0].length;
+    let depth = 1;
+    let end = head;
+    for (; end < rest.length && depth; end++) {
+      rest[end] === '(' && depth++;
+      rest[end] === ')' && depth--;
+    }
+    const token = depth ? void 0 : getToken(match[1]);
+    if (token === void 0) {
+      // fallback of an unknown variable may refer to tokens
+      result += rest.slice(0, head);
+      rest = rest.slice(head);
+      continue;
+    }
+    result += rest.slice(0, match.index) + token;
+    rest = rest.slice(end);
+  }
+  return result + rest;
+};
+
+/**
+ * parseTokens
+ * @description custom properties of `:root` (or `html`) in a css file, or an object of a json file,
+ * names in json could be with or without the leading `--`
+ * @param {string} file
+ * @returns {Promise<Record<string, string>>}
+ */
+const parseTokens = async (file) => {
+  const content = await readFile(file, { encoding: 'utf8' }).catch(() => {
+    throw new Error(`theme file ${file} is not found`);
+  });
+  const tokens = {};
+  if (path.extname(file).toLowerCase() === '.json') {
+    Object.entries(JSON.parse(content)).forEach(([name, value]) => {
+      tokens[name.startsWith('--') ? name : `--${name}`] = String(value);
+    });
+    return tokens;
+  }
+  postcss.parse(content, { from: file }).walkRules((rule) => {
+    if (!rule.selectors.some((s) => s === ':root' || s === 'html')) {
+      return;
+    }
+    rule.each((node) => {
+      if (node.type === 'decl' && node.prop.startsWith('--')) {
+        tokens[node.prop] = node.value.trim();
+      }
+    });
+  });
+  return tokens;
+};
+
+/**
+ * resolveTokens
+ * @description tokens may refer to each other, e.g. `--text: var(--gray-900);`
+ * @param {Record<string, string>} tokens
+ * @param {string} theme
+ * @returns {Record<string, string>}
+ */
+const resolveTokens = (tokens, theme) => {
+  const resolved = {};
+  const resolving = new Set();
+  const getToken = (name) => {
+    if (!(name in tokens)) {
+      return void 0;
+    }
+    if (!(name in resolved)) {
+      if (resolving.has(name)) {
+        throw new Error(`circular reference of "${name}" in tokens of theme "${theme}"`);
+      }
+      resolving.add(name);
+      resolved[name] = replaceVars(tokens[name], getToken);
+    }
+    return resolved[name];
+  };
+  Object.keys(tokens).forEach(getToken);
+  return resolved;
+};
+
+/**
+ * getThemeTokens
+ * @description tokens of a theme, loaded once per build, themes inherit tokens of the default theme
+ * @param {import('..').Build} build
+ * @param {import('..').Options} options
+ * @param {string} [theme] the default theme if not given
+ * @returns {Promise<{tokens: Record<string, string>; files: string[]}|void>} `files` are theme files the tokens are read from
+ */
+const getThemeTokens = (build, options, theme) => {
+  const [defaultTheme] = getThemeNames(options);
+  if (!defaultTheme) {
+    return Promise.resolve(void 0);
+  }
+  const name = theme ?? defaultTheme;
+  if (!options.themes[name]) {
+    return Promise.reject(new Error(`theme "${name}" is not found in \`themes\``));
+  }
+  const { buildRoot, themeTokens } = build.context;
+  if (!themeTokens.has(name)) {
+    const files = [...new Set([defaultTheme, name].map((t) => path.resolve(buildRoot, options.themes[t])))];
+    themeTokens.set(
+      name,
+      Promise.all(files.map(parseTokens)).then((parsed) => ({
+        tokens: resolveTokens(Object.assign({}, ...parsed), name),
+        files
+      }))
+    );
+  }
+  return themeTokens.get(name);
+};
+
+/**
+ * applyThemeTokens
+ * @description resolve `var()`s of theme tokens statically, so that css of each theme has its own values
+ * @param {{fullPath: string; css: string; map?: any; tokens: Record<string, string>}} params
+ * `sources` of `map` are absolute paths
+ * @returns {Promise<{css: string; map: any}|void>} nothing if there is no `var()` in css
+ */
+const applyThemeTokens = async ({ fullPath, css, map, tokens }) => {
+  if (!/var\(\s*--/i.test(css)) {
+    return void 0;
+  }
+  const getToken = (name) => tokens[name];
+  const { css: themedCss, map: themedMap } = await runPostcssPlugins({
+    fullPath,
+    css,
+    map,
+    plugins: [
+      {
+        postcssPlugin: 'esbuild-css-modules-plugin-themes',
+        Declaration(decl) {
+          const value = replaceVars(decl.value, getToken);
+          value !== decl.value && (decl.value = value);
+        }
+      }
+    ]
+  });
+  return { css: themedCss, map: themedMap };
+};
+
+module.exports = {
+  getThemeNames,
+  getThemeTokens,
+  applyThemeTokens
+};
@@ -1,7 +1,11 @@
 const path = require('path');
-const { createHash } = require('crypto');
-const { readFile } = require('fs/promises');
+const { createHash, randomBytes } = require('crypto');
+const { readFile, writeFile, mkdir, rename, unlink } = require('fs/promises');
 const fs = require('fs');
+const camelCase = require('lodash/camelCase');
+const upperFirst = require('lodash/upperFirst');
+const kebabCase = require('lodash/kebabCase');
+const { getInstalledPreprocessorExtensions } = require('./preprocessors');
 const pluginName = require('../package.json').name.toLowerCase();
 const pluginNamespace = `${pluginName}-namespace`;
 const buildingCssSuffix = `?${pluginName}-building`;
@@ -10,26 +14,94 @@ const builtCssSuffixRegExp = builtCssSuffix.replace('?', '\\?').replace(/\-/g, '
 
 /**
  * getModulesCssRegExp
+ * @description `.module.scss`, `.module.sass` and `.module.less` are included by default only if sass or less could be resolved from build root,
+ * otherwise they are left to other plugins
  * @param {import('..').Options} options
+ * @param {string} buildRoot
  * @returns {RegExp}
  */
-const getModulesCssRegExp = (options) => {
-  return options.filter ?? /\.modules?\.css$/i;
+const getModulesCssRegExp = (options, buildRoot) => {
+  if (options.filter) {
+    return options.filter;
+  }
+  const extensions = ['css', ...getInstalledPreprocessorExtensions(buildRoot).map((ext) => ext.slice(1))];
+  return new RegExp(`\\.modules?\\.(${extensions.join('|')})$`, 'i');
 };
 
 /**
  * getBuiltModulesCssRegExp
  * @param {import('..').Options} options
+ * @param {string} buildRoot
  * @returns {RegExp}
  */
-const getBuiltModulesCssRegExp = (options) => {
-  const baseRegExp = getModulesCssRegExp(options);
+const getBuiltModulesCssRegExp = (options, buildRoot) => {
+  const baseRegExp = getModulesCssRegExp(options, buildRoot);
   const baseRegExpSource = baseRegExp.source.endsWith('$')
     ? baseRegExp.source.slice(0, -1)
     : baseRegExp.source;
   return new RegExp(`${baseRegExpSource}${builtCssSuffixRegExp}$`, 'i');
 };
 
+/**
+ * globToRegExp
+ * @description convert a glob to RegExp, supports `**`, `*`, `?` and `{a,b}`
+ * @param {string} glob
+ * @returns {RegExp}
+ */
+const globToRegExp = (glob) => {
+  let source = '';
+  let inGroup = false;
+  for (let i = 0; i < glob.length; i++) {
+    const char = glob[i];
+    if (char === '*') {
+      if (glob[i + 1] === '*') {
+        // `**/` matches zero or more directories
+        source += glob[i + 2] === '/' ? '(?:.*/)?' : '.*';
+        i += glob[i + 2] === '/' ? 2 : 1;
+      } else {
+        source += '[^/]*';
+      }
+    } else if (char === '?') {
+      source += '[^/]';
+    } else if (char === '{') {
+      inGroup = true;
+      source += '(?:';
+    } else if (char === '}' && inGroup) {
+      inGroup = false;
+      source += ')';
+    } else if (char === ',' && inGroup) {
+      source += '|';
+    } else {
+      source += char.replace(/[.+^$()|[\]\\]/g, '\\$&');
+    }
+  }
+  return new RegExp(`^${source}$`);
+};
+
+/**
+ * isGlobalModule
+ * @description check if a css modules file should be treated as global css according to
+ * `v2CssModulesOption.scopeBehaviour` and `v2CssModulesOption.globalModulePaths`,
+ * globs are matched against the path relative to build root, RegExps against the absolute path.
+ * @param {import('..').Build} build
+ * @param {import('..').Options} options
+ * @param {string} fullPath
+ * @returns {boolean}
+ */
+const isGlobalModule = (build, options, fullPath) => {
+  const { scopeBehaviour, globalModulePaths = [] } = options.v2CssModulesOption ?? {};
+  if (scopeBehaviour === 'global') {
+    return true;
+  }
+  const rootDir = build.context?.buildRoot ?? getRootDir(build);
+  const relativePath = path.relative(rootDir, fullPath).split(path.sep).join(path.posix.sep);
+  return globalModulePaths.some((p) =>
+    p instanceof RegExp
+      ? p.test(fullPath)
+      : globToRegExp(p.replace(/^\.\//, '')).test(relativePath)
+  );
+};
+
 /**
  * getLogger
  * @param {import('..').Build} build
@@ -45,49 +117,479 @@ const getLogger = (build) => {
   return () => void 0;
 };
 
+/**
+ * getSourcePathKey
+ * @description get path (relative to build root) of a source file from its path in esbuild's metafile or output comments,
+ * e.g. `esbuild-css-modules-plugin-namespace:./styles/app.module.css?esbuild-css-modules-plugin-built` => `./styles/app.module.css`
+ * @param {string} esbuildPath
+ * @returns {string}
+ */
+const getSourcePathKey = (esbuildPath) => {
+  const p = esbuildPath
+    .replace(`${pluginNamespace}:`, '')
+    .replace(builtCssSuffix, '')
+    .split(path.sep)
+    .join(path.posix.sep);
+  return p.startsWith('.') ? p : `./${p}`;
+};
+
+/**
+ * splitCssByModule
+ * @description split css bundled by esbuild into chunks keyed by path of the source module (relative to build root),
+ * esbuild prefixes css of each module with a comment of its path unless minified.
+ * line numbers of each chunk in the bundled css are kept to pick its mappings from the source map of the bundle.
+ * @param {string} css
+ * @param {string} fallbackKey key of the css which is not prefixed by a module path
+ * @returns {Record<string, {css: string; lines: number[]}>}
+ */
+const splitCssByModule = (css, fallbackKey) => {
+  const chunks = {};
+  let key = fallbackKey;
+  let lines = [];
+  const flush = () => {
+    // drop blank lines around css of a module
+    const start = lines.findIndex(({ text }) => text.trim());
+    if (start !== -1) {
+      const end = lines.length - [...lines].reverse().findIndex(({ text }) => text.trim());
+      const chunk = chunks[key] ?? (chunks[key] = { css: '', lines: [] });
+      lines.slice(start, end).forEach(({ text, line }) => {
+        chunk.css += chunk.lines.length ? `\n${text}` : text;
+        chunk.lines.push(line);
+      });
+    }
+    lines = [];
+  };
+  css.split('\n').forEach((text, line) => {
+    if (/^\/\*# sourceMappingURL=/.test(text)) {
+      return;
+    }
+    const match = text.match(/^\/\* (.+) \*\/$/);
+    if (match) {
+      flush();
+      key = getSourcePathKey(match[1]);
+      return;
+    }
+    lines.push({ text, line });
+  });
+  flush();
+  return chunks;
+};
+
+const base64Chars = 'ABCDEFGHIJKLMNOPQRSTUVWXYZabcdefghijklmnopqrstuvwxyz0123456789+/';
+
+/**
+ * decodeMappings
+ * @description decode `mappings` of a source map to segments of each generated line,
+ * values of segments are absolute instead of relative to the previous one.
+ * @param {string} mappings
+ * @returns {number[][][]}
+ */
+const decodeMappings = (mappings) => {
+  const state = [0, 0, 0, 0, 0];
+  return mappings.split(';').map((line) => {
+    // generated column is relative to the previous segment in the same line only
+    state[0] = 0;
+    return line
+      .split(',')
+      .filter(Boolean)
+      .map((segment) => {
+        const values = [];
+        let value = 0;
+        let shift = 0;
+        for (const char of segment) {
+          const digit = base64Chars.indexOf(char);
+          value += (digit & 31) << shift;
+          if (digit & 32) {
+            shift += 5;
+          } else {
+            values.push(value & 1 ? -(value >>> 1) : value >>> 1);
+            value = shift = 0;
+          }
+        }
+        return values.map((v, i) => (state[i] += v));
+      });
+  });
+};
+
+/**
+ * encodeMappings
+ * @description reverse of `decodeMappings`
+ * @param {number[][][]} lines
+ * @returns {string}
+ */
+const encodeMappings = (lines) => {
+  const state = [0, 0, 0, 0, 0];
+  return lines
+    .map((segments) => {
+      state[0] = 0;
+      return segments
+        .map((segment) =>
+          segment
+            .map((v, i) => {
+              const delta = v - state[i];
+              state[i] = v;
+              let vlq = delta < 0 ? (-delta << 1) | 1 : delta << 1;
+              let encoded = '';
+              do {
+                const digit = vlq & 31;
+                vlq >>>= 5;
+                encoded += base64Chars[vlq ? digit | 32 : digit];
+              } while (vlq);
+              return encoded;
+            })
+            .join('')
+        )
+        .join(',');
+    })
+    .join(';');
+};
+
+/**
+ * sliceSourceMap
+ * @description create a source map of some lines of the generated code, e.g. css of a single module in the bundled css,
+ * only sources (and names) used by these lines are kept.
+ * @param {any} map
+ * @param {number[]} lineNumbers 0-based line numbers in the generated code
+ * @returns {any}
+ */
+const sliceSourceMap = (map, lineNumbers) => {
+  const decoded = decodeMappings(map.mappings);
+  const sourceIndexes = new Map();
+  const nameIndexes = new Map();
+  const reindex = (indexes, i) => {
+    indexes.has(i) || indexes.set(i, indexes.size);
+    return indexes.get(i);
+  };
+  const lines = lineNumbers.map((n) =>
+    (decoded[n] ?? []).map((segment) => {
+      if (segment.length < 4) {
+        return [segment[0]];
+      }
+      const [column, source, originalLine, originalColumn, name] = segment;
+      const result = [column, reindex(sourceIndexes, source), originalLine, originalColumn];
+      segment.length > 4 && result.push(reindex(nameIndexes, name));
+      return result;
+    })
+  );
+  const sources = [...sourceIndexes.keys()];
+  return {
+    version: 3,
+    ...(map.sourceRoot ? { sourceRoot: map.sourceRoot } : {}),
+    sources: sources.map((i) => map.sources[i]),
+    ...(map.sourcesContent ? { sourcesContent: sources.map((i) => map.sourcesContent[i] ?? null) } : {}),
+    names: [...nameIndexes.keys()].map((i) => map.names[i]),
+    mappings: encodeMappings(lines)
+  };
+};
+
+/**
+ * getInlineSourceMap
+ * @description get the source map inlined in css by `/*# sourceMappingURL=data:... *\/`
+ * @param {string} css
+ * @returns {any|void}
+ */
+const getInlineSourceMap = (css) => {
+  const match = css.match(
+    /\/\*# sourceMappingURL=data:application\/json;(?:charset=[^;,]+;)?base64,([^\s*]+)\s*\*\/\s*$/
+  );
+  return match ? JSON.parse(Buffer.from(match[1], 'base64').toString('utf8')) : void 0;
+};
+
+/**
+ * getSourceMapComment
+ * @param {any} map
+ * @returns {string} e.g. `/*# sourceMappingURL=data:application/json;base64,... *\/`
+ */
+const getSourceMapComment = (map) =>
+  `/*# sourceMappingURL=data:application/json;base64,${Buffer.from(
+    typeof map === 'string' || Buffer.isBuffer(map) ? map : JSON.stringify(map)
+  ).toString('base64')} */`;
+
+/**
+ * renameIdentifiers
+ * @description replace identifiers (e.g. scoped class names) in css, and shift columns in its source map accordingly
+ * @param {string} css
+ * @param {any} [map]
+ * @param {Record<string, string>} names old name => new name
+ * @returns {{css: string; map?: any}}
+ */
+const renameIdentifiers = (css, map, names) => {
+  const oldNames = Object.keys(names).filter((name) => names[name] !== name);
+  if (!oldNames.length) {
+    return { css, map };
+  }
+  const regExp = new RegExp(
+    `(?<![\\w-])(${oldNames
+      .sort((a, b) => b.length - a.length)
+      .map((name) => name.replace(/[.*+?^${}()|[\]\\]/g, '\\$&'))
+      .join('|')})(?![\\w-])`,
+    'g'
+  );
+  const decoded = map ? decodeMappings(map.mappings) : [];
+  const lines = css.split('\n').map((line, i) => {
+    // [column in the original line, delta of length]
+    const shifts = [];
+    const renamed = line.replace(regExp, (name, _, column) => {
+      shifts.push([column, names[name].length - name.length]);
+      return names[name];
+    });
+    decoded[i]?.forEach((segment) => {
+      segment[0] += shifts
+        .filter(([column]) => column < segment[0])
+        .reduce((sum, [, delta]) => sum + delta, 0);
+    });
+    return renamed;
+  });
+  return {
+    css: lines.join('\n'),
+    map: map && { ...map, mappings: encodeMappings(decoded) }
+  };
+};
+
 /**
  * buidInjectCode
+ * @description css is injected lazily, each css modules file pushes its path to `__inject_queue_<digest>__` when imported
+ * and calls `__inject_<digest>__`, so that only css of imported modules is injected, each into its own `<style>`
+ * (or constructed `CSSStyleSheet` if `injectMode` is `adoptedStyleSheets`, which is allowed by CSP without nonce).
+ * every entry has its own inject code, they share state in `__inject_state_<digest>__` if loaded in the same page.
  * @param {string} injectToSelector
- * @param {string} css
+ * @param {{styles: Record<string, string>; modules: Record<string, string[]>; eager: string[]; files?: Record<string, string[]>; themes?: Record<string, Record<string, string>>}} cssData
+ * `styles` is css keyed by module path (or output path if css of modules could not be split),
+ * `modules` maps module path to keys of `styles` if they are not the same, `eager` are keys to inject immediately,
+ * `files` maps url of output css files (relative to `outdir`) to module paths in them,
+ * `themes` are `styles` of themes other than the default one, exposes `__set_theme_<digest>__` if set
  * @param {string} digest
  * @param {import('..').Options} options
+ * @param {{url: string; format?: import('esbuild').Format}} [hmr] expose `__esbuild_css_modules_hmr__` if set
  * @returns {string}
  */
-const buildInjectCode = (injectToSelector = 'head', css, digest, options) => {
-  if (typeof options.inject === 'function') {
-    return `
-(function(window){
-  const doInject = () => {
-    ${options.inject(css, digest)}
-  };
-  window.__inject_${digest}__ = doInject;
-})(globalThis);
-    `;
+const buildInjectCode = (injectToSelector = 'head', cssData, digest, options, hmr) => {
+  const { styles, modules, eager, files = {}, themes } = cssData;
+  const [defaultTheme] = Object.keys(options.themes ?? {});
+  const { meta, global } =
+    options.injectNonce === true ? { meta: 'csp-nonce' } : options.injectNonce || {};
+  // nonce is read at runtime, e.g. from `<meta name="csp-nonce" content="xxx">`, since it changes in every response
+  const getNonceCode = `
+  const getNonce = () => {${
+    meta
+      ? `
+    const meta = win.document.querySelector(${JSON.stringify(`meta[name="${meta}"]`)});
+    const nonce = meta && (meta.nonce || meta.getAttribute('content'));
+    if (nonce) {
+      return nonce;
+    }`
+      : ''
   }
-  return `
-(function(win){
-  const css = \`${css}\`;
-  const doInject = () => {
-    if (typeof win.document === 'undefined') {
+    return ${global ? `win[${JSON.stringify(global)}]` : 'undefined'};
+  };`;
+  // injectors of the function `inject` embed css, they are generated for each theme
+  const getInjectorsCode = (themeStyles) => `{
+${Object.keys(themeStyles)
+  .map(
+    (key) => `    ${JSON.stringify(key)}: () => {
+      ${options.inject(themeStyles[key], `${digest}_${createHash('sha256').update(key).digest('hex').slice(0, 8)}`)}
+    }`
+  )
+  .join(',\n')}
+  }`;
+  const insertCode =
+    typeof options.inject === 'function'
+      ? `
+  const injectors = ${getInjectorsCode(styles)};
+  Object.assign(state.injectors, injectors);
+  const insert = (key) => state.injectors[key]();`
+      : `
+  const insert = (key) => {
+    let root = win.document.querySelector('${injectToSelector}');${
+      options.injectMode === 'adoptedStyleSheets'
+        ? `
+    const target = root && root.shadowRoot ? root.shadowRoot : win.document;
+    if (canAdopt(target)) {
+      adopt(target, key);
       return;
+    }`
+        : ''
     }
-    let root = win.document.querySelector('${injectToSelector}');
     if (root && root.shadowRoot) {
       root = root.shadowRoot;
     }
     if (!root) {
       root = win.document.head;
     }
-    let container = root.querySelector('#_${digest}');
+    const container = findStyle(root, key);
     if (!container) {
-      container = win.document.createElement('style');
-      container.id = '_${digest}';
-      const text = win.document.createTextNode(css);
-      container.appendChild(text);
-      root.appendChild(container);
+      root.appendChild(createStyle(key));
+    } else if (container.textContent !== state.styles[key]) {
+      container.textContent = state.styles[key];
     }
+  };`;
+  const baseUrl =
+    hmr?.format === 'esm'
+      ? 'import.meta.url'
+      : '(win.document && win.document.currentScript && win.document.currentScript.src) || (win.location && win.location.href)';
+  const hmrCode = hmr
+    ? `
+  const baseUrl = ${baseUrl};
+  win.__esbuild_css_modules_hmr__ = {
+    update,
+    reload: (url) => fetch(new URL(url || '${hmr.url}', baseUrl).href)
+      .then((res) => res.json())
+      .then(update)
+  };`
+    : '';
+  // the default theme is the css in output files, other themes are built by the plugin from the same inputs
+  const themesCode = themes
+    ? `
+  const themes = {
+    ${JSON.stringify(defaultTheme)}: styles,
+${Object.keys(themes)
+  .map((name) => `    ${JSON.stringify(name)}: ${JSON.stringify(themes[name])}`)
+  .join(',\n')}
+  };
+  Object.keys(themes).forEach((name) => {
+    state.themes[name] = Object.assign(state.themes[name] || {}, themes[name]);
+  });${
+    typeof options.inject === 'function'
+      ? `
+  const themeInjectors = {
+    ${JSON.stringify(defaultTheme)}: injectors,
+${Object.keys(themes)
+  .map((name) => `    ${JSON.stringify(name)}: ${getInjectorsCode(themes[name])}`)
+  .join(',\n')}
+  };
+  Object.keys(themeInjectors).forEach((name) => {
+    state.themeInjectors[name] = Object.assign(state.themeInjectors[name] || {}, themeInjectors[name]);
+  });`
+      : ''
+  }
+  // injected \`<style>\`s and constructed stylesheets are updated in place
+  const setTheme = (name) => {
+    if (!state.themes[name]) {
+      throw new Error('theme "' + name + '" is not found');
+    }
+    ${typeof options.inject === 'function' ? 'Object.assign(state.injectors, state.themeInjectors[name]);\n    ' : ''}update(state.themes[name]);
+  };
+  win.__set_theme_${digest}__ = setTheme;
+  // \`setTheme()\` of css modules files may be called before this
+  win.__inject_theme_${digest}__ && setTheme(win.__inject_theme_${digest}__);`
+    : '';
+  return `
+(function(win){
+  const state = win.__inject_state_${digest}__ = win.__inject_state_${digest}__ || {
+    styles: {},
+    modules: {},
+    injectors: {},
+    sheets: {},
+    attached: {},
+    injected: {},
+    eager: [],
+    files: {},
+    themes: {},
+    themeInjectors: {}
+  };
+  const queue = win.__inject_queue_${digest}__ = win.__inject_queue_${digest}__ || [];
+  const styles = ${JSON.stringify(styles)};
+  Object.assign(state.styles, styles);
+  Object.assign(state.modules, ${JSON.stringify(modules)});
+  Object.assign(state.files, ${JSON.stringify(files)});
+  state.eager.push(...${JSON.stringify(eager)}.filter((key) => !state.eager.includes(key)));
+  // read by \`esbuild-css-modules-plugin/ssr\` to collect css on server
+  const ssr = win.__esbuild_css_modules_ssr__ = win.__esbuild_css_modules_ssr__ || { states: [] };
+  ssr.states.includes(state) || ssr.states.push(state);
+  const attr = 'data-css-module';${getNonceCode}
+  if (typeof win.document !== 'undefined') {
+    // css rendered on server is not injected again
+    Array.prototype.forEach.call(
+      win.document.querySelectorAll('style[' + attr + '], link[data-css-modules]'),
+      (el) => {
+        (el.getAttribute(attr) || el.getAttribute('data-css-modules')).split(',').forEach((modulePath) => {
+          (state.modules[modulePath] || [modulePath]).forEach((key) => {
+            state.injected[key] = true;
+          });
+        });
+      }
+    );
   }
+  const findStyle = (root, key) => Array.prototype.find.call(
+    root.querySelectorAll('style[' + attr + ']'),
+    (el) => el.getAttribute(attr) === key
+  );
+  const createStyle = (key) => {
+    const el = win.document.createElement('style');
+    el.setAttribute(attr, key);
+    const nonce = getNonce();
+    if (nonce) {
+      el.setAttribute('nonce', nonce);
+    }
+    el.textContent = state.styles[key];
+    return el;
+  };
+  const canAdopt = (root) => !!win.CSSStyleSheet && 'adoptedStyleSheets' in root;
+  // one constructed stylesheet per module, shared by the document and all shadow roots
+  const adopt = (root, key) => {
+    if (!state.sheets[key]) {
+      state.sheets[key] = new win.CSSStyleSheet();
+      state.sheets[key].replaceSync(state.styles[key]);
+    }
+    if (!root.adoptedStyleSheets.includes(state.sheets[key])) {
+      root.adoptedStyleSheets = [...root.adoptedStyleSheets, state.sheets[key]];
+    }
+  };
+  // \`attachStyles(root)\` exported by css modules files
+  const attach = (root, key) => {
+    if (canAdopt(root)) {
+      adopt(root, key);
+    } else if (!findStyle(root, key)) {
+      const el = createStyle(key);
+      state.attached[key] = [...(state.attached[key] || []), el];
+      root.appendChild(el);
+    }
+  };
+  ${insertCode}
+  const update = (nextStyles) => {
+    Object.keys(nextStyles).forEach((key) => {
+      state.styles[key] = nextStyles[key];
+      state.sheets[key] && state.sheets[key].replaceSync(nextStyles[key]);
+      (state.attached[key] || []).forEach((el) => {
+        el.textContent = nextStyles[key];
+      });
+      state.injected[key] && insert(key);
+    });
+  };
+  const doInject = () => {
+    if (typeof win.document === 'undefined') {
+      return;
+    }
+    // css of modules from other entries may not be loaded yet, keep them in queue
+    const pending = [];
+    queue.splice(0).forEach((item) => {
+      // item is path of an imported module, or \`[paths, root]\` from \`attachStyles(root)\`
+      const paths = typeof item === 'string' ? [item] : item[0];
+      const keys = [];
+      paths.forEach((modulePath) => {
+        (state.modules[modulePath] || [modulePath]).forEach((key) => {
+          Object.prototype.hasOwnProperty.call(state.styles, key) && !keys.includes(key) && keys.push(key);
+        });
+      });
+      if (!keys.length) {
+        pending.push(item);
+        return;
+      }
+      keys.forEach((key) => {
+        if (typeof item !== 'string') {
+          attach(item[1], key);
+        } else if (!state.injected[key]) {
+          state.injected[key] = true;
+          insert(key);
+        }
+      });
+    });
+    queue.push(...pending);
+  };
+  ${hmrCode}${themesCode}
   win.__inject_${digest}__ = doInject;
+  queue.unshift(...state.eager);
+  doInject();
 })(globalThis);
   `;
 };
@@ -238,19 +740,270 @@ const validateNamedExport = (name) => {
   return !jsKeywords.includes(name);
 };
 
+/**
+ * @param {string} name
+ * @returns {boolean}
+ */
+const isIdentifier = (name) => /^[a-zA-Z_$][\w$]*$/.test(name);
+
+/**
+ * @param {string} name
+ * @returns {string}
+ */
+const dashesCamelCase = (name) => name.replace(/-+(\w)/g, (_, firstLetter) => firstLetter.toUpperCase());
+
+/**
+ * getLocalsConventionKeys
+ * @description get keys of a class in default export according to `localsConvention`,
+ * kebab-case is used if `localsConvention` is not set
+ * @param {string} originClass
+ * @param {string} generatedClass
+ * @param {string} inputFile
+ * @param {import('..').Options} options
+ * @returns {string[]}
+ */
+const getLocalsConventionKeys = (originClass, generatedClass, inputFile, options) => {
+  const localsConvention =
+    options.localsConvention ?? (options.usePascalCase ? 'PascalCase' : undefined);
+  if (typeof localsConvention === 'function') {
+    return [localsConvention(originClass, generatedClass, inputFile)];
+  }
+  switch (localsConvention) {
+    case 'camelCase':
+      return [...new Set([originClass, camelCase(originClass)])];
+    case 'camelCaseOnly':
+      return [camelCase(originClass)];
+    case 'dashes':
+      return [...new Set([originClass, dashesCamelCase(originClass)])];
+    case 'dashesOnly':
+      return [dashesCamelCase(originClass)];
+    case 'PascalCase':
+      return [upperFirst(camelCase(originClass))];
+    default:
+      return [kebabCase(originClass)];
+  }
+};
+
+/**
+ * getNamedExportName
+ * @description use the first valid identifier of keys as name of named export, fallback to camelCase
+ * @param {string[]} keys keys from `getLocalsConventionKeys`
+ * @param {string} originClass
+ * @returns {string}
+ */
+const getNamedExportName = (keys, originClass) => {
+  return keys.find(isIdentifier) ?? camelCase(originClass);
+};
+
+let isPrettierInstalled;
+const canUsePrettier = () => {
+  if (isPrettierInstalled === undefined) {
+    try {
+      require.resolve('prettier');
+      isPrettierInstalled = true;
+    } catch (e) {
+      isPrettierInstalled = false;
+    }
+  }
+
+  return isPrettierInstalled;
+};
+
+/**
+ * @param {string} key
+ * @returns {string}
+ */
+const quoteKey = (key) => (isIdentifier(key) ? key : `'${key}'`);
+
+/**
+ * buildTypeDeclaration
+ * @description generate content of `xxx.module.css.d.ts`
+ * @param {Record<string, string>} defaultExport
+ * @param {Record<string, string>} namedExports
+ * @param {string[]} [extraDeclarations] e.g. `export declare const css: string;`
+ * @returns {string}
+ */
+const buildTypeDeclaration = (defaultExport, namedExports, extraDeclarations = []) => {
+  const lines = [
+    `// generated by ${pluginName}, do not edit`,
+    'declare const cssModules: {',
+    ...Object.entries(defaultExport).map(([name, val]) => `  readonly ${quoteKey(name)}: '${val}';`),
+    '};',
+    'export default cssModules;',
+    ...Object.entries(namedExports).map(([name, val]) => `export declare const ${name}: '${val}';`),
+    ...extraDeclarations
+  ];
+  return `${lines.join('\n')}\n`;
+};
+
+/**
+ * buildConstDeclaration
+ * @description declaration of an exported object, e.g. `export declare const keyframes: { readonly fade: 'xxx_fade'; };`
+ * @param {string} name
+ * @param {Record<string, string>} record
+ * @returns {string}
+ */
+const buildConstDeclaration = (name, record) => {
+  return [
+    `export declare const ${name}: {`,
+    ...Object.entries(record).map(([key, val]) => `  readonly ${quoteKey(key)}: ${JSON.stringify(val)};`),
+    '};'
+  ].join('\n');
+};
+
+/**
+ * getTypeDeclarationPath
+ * @description `xxx.module.css.d.ts` is placed next to the css file, or under `typesDir` keeping the same structure relative to build root
+ * @param {import('..').Build} build
+ * @param {import('..').Options} options
+ * @param {string} cssFullPath
+ * @returns {string}
+ */
+const getTypeDeclarationPath = (build, options, cssFullPath) => {
+  const filePath = cssFullPath.replace(/\?.+$/, '');
+  if (!options.typesDir) {
+    return `${filePath}.d.ts`;
+  }
+  const rootDir = build.context?.buildRoot ?? getRootDir(build);
+  const typesDir = path.resolve(rootDir, options.typesDir);
+  return path.resolve(typesDir, `${path.relative(rootDir, filePath)}.d.ts`);
+};
+
+/**
+ * writeTypeDeclaration
+ * @description write `xxx.module.css.d.ts`, skip writing if content not changed
+ * @param {{cssFullPath: string; content: string; options: import('..').Options; build: import('..').Build}} params
+ * @returns {Promise<string>} path of the declaration file
+ */
+const writeTypeDeclaration = async ({ cssFullPath, content, options, build }) => {
+  const log = build.context?.log ?? getLogger(build);
+  const dtsPath = getTypeDeclarationPath(build, options, cssFullPath);
+  let dts = content;
+  if (canUsePrettier()) {
+    const prettier = require('prettier');
+    const config = await prettier.resolveConfig(dtsPath, { editorconfig: true });
+    dts = await prettier.format(dts, Object.assign({}, config, { parser: 'typescript' }));
+  }
+  const existing = await readFile(dtsPath, { encoding: 'utf8' }).catch(() => null);
+  if (existing === dts) {
+    log(`type declaration not changed, skip writing ${dtsPath}`);
+    return dtsPath;
+  }
+  await mkdir(path.dirname(dtsPath), { recursive: true });
+  await writeFile(dtsPath, dts, { encoding: 'utf8' });
+  log(`type declaration written to ${dtsPath}`);
+  return dtsPath;
+};
+
+/**
+ * createOutputFile
+ * @param {string} filePath
+ * @param {string|Uint8Array} content
+ * @returns {import('esbuild').OutputFile}
+ */
+const createOutputFile = (filePath, content) => {
+  const contents = typeof content === 'string' ? Buffer.from(content, 'utf8') : content;
+  let text;
+  return {
+    path: filePath,
+    contents,
+    get text() {
+      if (text === undefined) {
+        text = Buffer.from(contents).toString('utf8');
+      }
+      return text;
+    }
+  };
+};
+
+/**
+ * readOutputFile
+ * @description read an output file of esbuild, from `result.outputFiles` if `write` is false
+ * @param {import('..').Build} build
+ * @param {import('esbuild').BuildResult} result
+ * @param {string} filePath absolute path
+ * @returns {Promise<string>}
+ */
+const readOutputFile = async (build, result, filePath) => {
+  if (build.initialOptions.write === false) {
+    const file = (result.outputFiles ?? []).find((f) => f.path === filePath);
+    return file?.text ?? '';
+  }
+  return readFile(filePath, { encoding: 'utf8' });
+};
+
+/**
+ * emitFile
+ * @description write a file to disk, or add it to `result.outputFiles` if `write` is false
+ * @param {import('..').Build} build
+ * @param {import('esbuild').BuildResult} result
+ * @param {string} filePath absolute path
+ * @param {string|Uint8Array} content
+ * @returns {Promise<void>}
+ */
+const emitFile = async (build, result, filePath, content) => {
+  if (build.initialOptions.write === false) {
+    const outputFile = createOutputFile(filePath, content);
+    const outputFiles = result.outputFiles ?? (result.outputFiles = []);
+    const index = outputFiles.findIndex((f) => f.path === filePath);
+    index === -1 ? outputFiles.push(outputFile) : (outputFiles[index] = outputFile);
+    return;
+  }
+  await mkdir(path.dirname(filePath), { recursive: true });
+  await writeFile(filePath, content, typeof content === 'string' ? { encoding: 'utf8' } : void 0);
+};
+
+/**
+ * writeFileAtomic
+ * @description write to a temporary file next to the target then rename it,
+ * rename is atomic so that other processes (e.g. concurrent builds) never read a partial file.
+ * temporary files are named `<file>.<pid>.<random>.tmp`
+ * @param {string} filePath absolute path
+ * @param {string} content
+ * @returns {Promise<void>}
+ */
+const writeFileAtomic = async (filePath, content) => {
+  const tmpFile = `${filePath}.${process.pid}.${randomBytes(4).toString('hex')}.tmp`;
+  try {
+    await mkdir(path.dirname(filePath), { recursive: true });
+    await writeFile(tmpFile, content, { encoding: 'utf8' });
+    await rename(tmpFile, filePath);
+  } catch (error) {
+    await unlink(tmpFile).catch(() => void 0);
+    throw error;
+  }
+};
+
 module.exports = {
   pluginName,
   pluginNamespace,
   getLogger,
   getRootDir,
   buildInjectCode,
+  getSourcePathKey,
+  splitCssByModule,
+  sliceSourceMap,
+  getInlineSourceMap,
+  getSourceMapComment,
+  renameIdentifiers,
   builtCssSuffix,
   getModulesCssRegExp,
   getBuiltModulesCssRegExp,
+  isGlobalModule,
   buildingCssSuffix,
   getRelativePath,
   getBuildId,
   validateNamedExport,
+  getLocalsConventionKeys,
+  getNamedExportName,
+  quoteKey,
   getPackageInfo,
-  getPackageVersion
+  getPackageVersion,
+  buildTypeDeclaration,
+  buildConstDeclaration,
+  writeTypeDeclaration,
+  createOutputFile,
+  readOutputFile,
+  emitFile,
+  writeFileAtomic
 };
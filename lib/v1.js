@@ -8,7 +8,15 @@ const tmp = require('tmp');
 const hash = createHash('sha256');
 const fse = require('fs-extra');
 const ensureDir = util.promisify(fse.ensureDir);
-const { pluginNamespace, getLogger } = require('./utils.js');
+const {
+  pluginNamespace,
+  getLogger,
+  getRootDir,
+  buildTypeDeclaration,
+  writeTypeDeclaration
+} = require('./utils.js');
+const { preprocess } = require('./preprocessors.js');
+const { getPostcssPlugins, getPostcssDependencies } = require('./postcss-plugins.js');
 
 /**
  * @callback OnLoadCallback
@@ -21,7 +29,12 @@ const { pluginNamespace, getLogger } = require('./utils.js');
  * @return {(import('esbuild').OnResolveResult | null | undefined | Promise<import('esbuild').OnResolveResult | null | undefined>)}
  */
 
-const buildCssModulesJs = async (cssFullPath, options) => {
+/**
+ * @param {string} cssFullPath
+ * @param {import('..').Options} options
+ * @param {import('esbuild').PluginBuild} build
+ */
+const buildCssModulesJs = async (cssFullPath, options, build) => {
   const {
     localsConvention = 'camelCaseOnly',
     inject = true,
@@ -29,10 +42,14 @@ const buildCssModulesJs = async (cssFullPath, options) => {
     cssModulesOption = {}
   } = options;
 
-  const css = await readFile(cssFullPath);
+  // sass/less files are compiled to css first
+  const preprocessed = await preprocess({ fullPath: cssFullPath, buildRoot: getRootDir(build) });
+  const css = preprocessed ? preprocessed.css : await readFile(cssFullPath);
 
   let cssModulesJSON = {};
+  // plugins of postcss config and `postcssPlugins` run before css modules are scoped
   const result = await postcss([
+    ...(await getPostcssPlugins(build, options)),
     cssModules({
       localsConvention,
       generateScopedName,
@@ -44,7 +61,20 @@ const buildCssModulesJs = async (cssFullPath, options) => {
     })
   ]).process(css, {
     from: cssFullPath,
-    map: false
+    // inline the source map so that injected css points to the original file in devtools
+    map: build.initialOptions.sourcemap
+      ? {
+          inline: true,
+          sourcesContent: build.initialOptions.sourcesContent !== false,
+          // postcss keeps absolute sources as they are, which may leak paths of the machine
+          prev: preprocessed?.map && {
+            ...preprocessed.map,
+            sources: preprocessed.map.sources.map((s) =>
+              path.relative(path.dirname(cssFullPath), s).split(path.sep).join(path.posix.sep)
+            )
+          }
+        }
+      : false
   });
 
   const classNames = JSON.stringify(cssModulesJSON);
@@ -78,9 +108,27 @@ export default ${classNames};
 export { css, digest };
   `;
 
+  if (options.generateTsFile) {
+    await writeTypeDeclaration({
+      cssFullPath,
+      content: buildTypeDeclaration(cssModulesJSON, {}, [
+        'export declare const css: string;',
+        'export declare const digest: string;'
+      ]),
+      options,
+      build
+    });
+  }
+
+  const { dependencies, dirDependencies } = getPostcssDependencies(result.messages);
+
   return {
     jsContent,
-    cssContent: result.css
+    cssContent: result.css,
+    dependencies: [...new Set([...(preprocessed?.dependencies ?? []), ...dependencies])].filter(
+      (f) => f !== cssFullPath
+    ),
+    dirDependencies
   };
 };
 
@@ -101,7 +149,11 @@ const onResolveFactory = (build, options) => async (args) => {
   await ensureDir(tmpDir);
   const tmpFilePath = path.resolve(tmpDir, `${sourceBaseName}.css`);
 
-  const { jsContent } = await buildCssModulesJs(sourceFullPath, options);
+  const { jsContent, dependencies, dirDependencies } = await buildCssModulesJs(
+    sourceFullPath,
+    options,
+    build
+  );
 
   await writeFile(`${tmpFilePath}.js`, jsContent, { encoding: 'utf-8' });
 
@@ -129,6 +181,8 @@ const onResolveFactory = (build, options) => async (args) => {
     namespace: pluginNamespace,
     pluginData: {
       content: jsContent,
+      dependencies,
+      dirDependencies,
       resolveArgs: {
         path: args.path,
         fullPath: sourceFullPath,
@@ -148,7 +202,12 @@ const onLoadFactory = (build) => (args) => {
   const { path: resolvePath, importer, fullPath } = args.pluginData.resolveArgs;
   const importerName = path.basename(importer);
   getLogger(build)(`${resolvePath} => ${resolvePath}.js => ${importerName}`);
-  return { contents: args.pluginData.content, loader: 'js', watchFiles: [fullPath] };
+  return {
+    contents: args.pluginData.content,
+    loader: 'js',
+    watchFiles: [fullPath, ...args.pluginData.dependencies],
+    watchDirs: args.pluginData.dirDependencies
+  };
 };
 
 /**
@@ -158,6 +217,7 @@ const onLoadFactory = (build) => (args) => {
  * @returns {Promise<void>}
  */
 const setup = async (build, options) => {
+  // sass/less files are not matched by default in v1, they may be handled by other plugins of the build
   const filter = options.filter ?? /\.modules?\.css$/;
   const filterBaseSource = filter.source.endsWith('$') ? filter.source.slice(0, -1) : filter.source;
   const filterCssJS = new RegExp(`${filterBaseSource}\\.js$`);
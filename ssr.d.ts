@@ -0,0 +1,27 @@
+export interface StyleCollector {
+  /**
+   * render with the collector, css modules files are recorded when class names of their default export are read
+   * or when they are imported while rendering, e.g. by lazy loaded chunks.
+   * files used by other collectors (i.e. other requests) are not recorded
+   */
+  collect<T>(render: () => T): T;
+  /** paths (relative to build root) of recorded css modules files */
+  getModules(): string[];
+  /** css of recorded css modules files, and global css imported by js */
+  getCss(): string;
+  /** `<style data-css-module="...">` of each recorded css modules file, to be placed in `<head>` */
+  getStyleTags(options?: { nonce?: string }): string;
+  /**
+   * `<link rel="stylesheet">` of emitted css files which contain recorded css modules files, to be placed in `<head>`.
+   * `publicPath` is the url of `outdir`, default is `/`.
+   * urls are names of css files emitted by the build of the server bundle, so the browser should be served by the same build,
+   * use `getStyleTags` if the client is built separately, since names of its css files (e.g. with `[hash]`) are different
+   */
+  getLinkTags(options?: { publicPath?: string }): string;
+}
+
+/**
+ * collect css of css modules files used while rendering a request on server, works with `v2: true` and `inject`.
+ * styles rendered by the collector are not injected again in browser.
+ */
+export declare function createStyleCollector(): StyleCollector;
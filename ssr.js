@@ -0,0 +1,116 @@
+const { AsyncLocalStorage } = require('async_hooks');
+
+const registryName = '__esbuild_css_modules_ssr__';
+
+/**
+ * @description shared with the inject code of v2, which pushes its state to `states`,
+ * and css modules files, which call `touch` when they are imported or their class names are read on server
+ * @returns {{states: any[]; touch?: (keys: string[]) => void}}
+ */
+const getRegistry = () => {
+  if (!globalThis[registryName]) {
+    globalThis[registryName] = { states: [] };
+  }
+  return globalThis[registryName];
+};
+
+/**
+ * @type {AsyncLocalStorage<Set<string>>}
+ */
+const storage = new AsyncLocalStorage();
+
+getRegistry().touch = (keys) => {
+  const touched = storage.getStore();
+  touched && keys.forEach((key) => touched.add(key));
+};
+
+/**
+ * @param {string} str
+ * @returns {string}
+ */
+const escapeAttribute = (str) => str.replace(/&/g, '&amp;').replace(/"/g, '&quot;');
+
+/**
+ * createStyleCollector
+ * @description collect css of css modules files used while rendering a request on server, so that html is styled before hydration,
+ * works with `v2: true` and `inject`, styles rendered by the collector are not injected again in browser.
+ * @returns {import('./ssr').StyleCollector}
+ */
+const createStyleCollector = () => {
+  const touched = new Set();
+
+  /**
+   * @returns {{key: string; css: string}[]}
+   */
+  const getStyles = () => {
+    const styles = [];
+    const added = new Set();
+    getRegistry().states.forEach((state) => {
+      const keys = new Set(state.eager);
+      touched.forEach((modulePath) => {
+        (state.modules[modulePath] || [modulePath]).forEach((key) => keys.add(key));
+      });
+      // keep the order of css in output
+      Object.keys(state.styles).forEach((key) => {
+        if (keys.has(key) && !added.has(key)) {
+          added.add(key);
+          styles.push({ key, css: state.styles[key] });
+        }
+      });
+    });
+    return styles;
+  };
+
+  return {
+    collect(render) {
+      return storage.run(touched, render);
+    },
+    getModules() {
+      return [...touched];
+    },
+    getCss() {
+      return getStyles()
+        .map(({ css }) => css)
+        .join('\n');
+    },
+    getStyleTags({ nonce } = {}) {
+      const nonceAttribute = nonce ? ` nonce="${escapeAttribute(nonce)}"` : '';
+      return getStyles()
+        .map(
+          ({ key, css }) =>
+            `<style data-css-module="${escapeAttribute(key)}"${nonceAttribute}>${css.replace(
+              /<\/style/gi,
+              '<\\/style'
+            )}</style>`
+        )
+        .join('');
+    },
+    getLinkTags({ publicPath = '/' } = {}) {
+      const prefix = publicPath.endsWith('/') ? publicPath : `${publicPath}/`;
+      const links = [];
+      getRegistry().states.forEach((state) => {
+        Object.keys(state.files).forEach((url) => {
+          const modulePaths = state.files[url];
+          const used = modulePaths.some(
+            (p) => touched.has(p) || (state.modules[p] || [p]).some((key) => state.eager.includes(key))
+          );
+          if (used && !links.some((link) => link.url === url)) {
+            links.push({ url, modulePaths });
+          }
+        });
+      });
+      return links
+        .map(
+          ({ url, modulePaths }) =>
+            `<link rel="stylesheet" href="${escapeAttribute(
+              prefix + url
+            )}" data-css-modules="${escapeAttribute(modulePaths.join(','))}">`
+        )
+        .join('');
+    }
+  };
+};
+
+module.exports = {
+  createStyleCollector
+};
@@ -0,0 +1,11 @@
+import React from 'react';
+// named exports are camel case whatever `localsConvention` is, keys of the default export are not
+import { helloTitle } from '../styles/composes.modules.css';
+import { helloText } from '../styles/deep/styles/hello.modules.css';
+
+export const HelloWorld = () => (
+  <>
+    <h3 className={helloTitle}>Hello World!</h3>
+    <p className={helloText}>hi...</p>
+  </>
+);
@@ -0,0 +1,10 @@
+import React from 'react';
+import ReactDom from 'react-dom';
+
+import { HelloWorld } from './components/composes.world';
+
+const App = () => {
+  return <HelloWorld/>;
+};
+
+ReactDom.render(<App/>, document.body);
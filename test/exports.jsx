@@ -0,0 +1,17 @@
+import React from 'react';
+import ReactDom from 'react-dom';
+
+import styles, { keyframes, customProperties, values } from './styles/exports.modules.css';
+
+const App = () => {
+  return (
+    <div
+      className={styles.banner}
+      style={{ [customProperties['--accent']]: values.primary, animationName: keyframes['fade-in'] }}
+    >
+      Hello World!
+    </div>
+  );
+};
+
+ReactDom.render(<App/>, document.body);
@@ -0,0 +1,11 @@
+import React from 'react';
+import ReactDom from 'react-dom';
+
+import './styles/vendor/theme.module.css';
+import styles from './styles/app.modules.css';
+
+const App = () => {
+  return <button className={`btn btn-primary ${styles.helloWorld}`}>Hello World!</button>;
+};
+
+ReactDom.render(<App/>, document.body);
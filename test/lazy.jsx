@@ -0,0 +1,14 @@
+import React from 'react';
+import ReactDom from 'react-dom';
+
+import { HelloWorld } from './components/hello.world';
+
+const App = () => {
+  return <HelloWorld/>;
+};
+
+ReactDom.render(<App/>, document.body);
+
+import('./components/composes.world').then(({ HelloWorld: Lazy }) => {
+  ReactDom.render(<Lazy/>, document.body);
+});
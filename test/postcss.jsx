@@ -0,0 +1,10 @@
+import React from 'react';
+import ReactDom from 'react-dom';
+
+import styles from './styles/tokens.modules.css';
+
+const App = () => {
+  return <div className={styles.card}>Hello World!</div>;
+};
+
+ReactDom.render(<App/>, document.body);
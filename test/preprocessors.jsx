@@ -0,0 +1,16 @@
+import React from 'react';
+import ReactDom from 'react-dom';
+
+import sassStyles from './styles/sass.modules.scss';
+import lessStyles from './styles/less.modules.less';
+
+const App = () => {
+  return (
+    <div>
+      <button className={sassStyles.buttonPrimary}>Sass</button>
+      <button className={lessStyles.button}>Less</button>
+    </div>
+  );
+};
+
+ReactDom.render(<App/>, document.body);
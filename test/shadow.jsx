@@ -0,0 +1,11 @@
+import { attachStyles, helloTitle } from './styles/composes.modules.css';
+
+class HelloShadow extends HTMLElement {
+  connectedCallback() {
+    const shadowRoot = this.attachShadow({ mode: 'open' });
+    attachStyles(shadowRoot);
+    shadowRoot.innerHTML = `<h3 class="${helloTitle}">Hello Shadow DOM!</h3>`;
+  }
+}
+
+customElements.define('hello-shadow', HelloShadow);
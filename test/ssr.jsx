@@ -0,0 +1,11 @@
+import styles from './styles/app.modules.css';
+import hello from './styles/deep/styles/hello.modules.css';
+
+// class names of the default export are recorded when they are read while rendering
+export const render = () => `<p class="${styles['hello-world']}"><span class="${hello['hello-text']}">rendered on server</span></p>`;
+
+// named exports are recorded when the module is imported while rendering
+export const renderLazy = async () => {
+  const { helloTitle } = await import('./styles/composes.modules.css');
+  return `<h1 class="${helloTitle}">rendered on server</h1>`;
+};
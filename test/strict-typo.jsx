@@ -0,0 +1,8 @@
+import React from 'react';
+import ReactDom from 'react-dom';
+import styles from './styles/app.modules.css';
+
+// `buton` is a typo, strict class names must fail the build
+const App = () => <button className={styles.buton}>strict</button>;
+
+ReactDom.render(<App />, document.body);
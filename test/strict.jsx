@@ -0,0 +1,22 @@
+import React from 'react';
+import ReactDom from 'react-dom';
+import * as styles from './styles/app.modules.css';
+import hello from './styles/deep/styles/hello.modules.css';
+
+// styles.commented is only a comment, it is never checked
+/* styles.commentedBlock */
+const text = "styles.instring";
+const template = `${styles.someOtherSelector} styles.intemplate`;
+const pattern = /styles\.inregexp/;
+
+// `hello` is declared again as a parameter, its accesses could not be checked statically
+const Hello = ({ hello }) => <p className={hello.helloText}>{hello.whatever}</p>;
+
+const App = () => (
+  <div className={styles.helloWorld} title={text} data-pattern={pattern.source}>
+    <span className={template}>strict</span>
+    <Hello hello={hello} />
+  </div>
+);
+
+ReactDom.render(<App />, document.body);
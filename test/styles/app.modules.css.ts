@@ -1,5 +0,0 @@
-export default {
-'hello-world': 'app-modules__hello-world_NYFr-W000','some-other-selector': 'app-modules__some-other-selector_NYFr-W000'
-} as const;
-export const helloWorld = 'app-modules__hello-world_NYFr-W000' as const;
-export const someOtherSelector = 'app-modules__some-other-selector_NYFr-W000' as const;
@@ -1,4 +0,0 @@
-export default {
-'hello-text': 'hello-modules__hello-text_FDa-KG000'
-} as const;
-export const helloText = 'hello-modules__hello-text_FDa-KG000' as const;
@@ -1,8 +1,29 @@
 const esbuild = require('esbuild');
 const cssModulesPlugin = require('../index.js');
+const path = require('path');
+const assert = require('assert');
 const fse = require('fs-extra');
 fse.emptyDirSync('./dist');
 
+/**
+ * replaces `token(name)` with values in `styles/tokens.json`, which is reported as a dependency
+ * @type {import('postcss').PluginCreator<void>}
+ */
+const tokensPlugin = () => {
+  const file = path.resolve(__dirname, 'styles/tokens.json');
+  return {
+    postcssPlugin: 'tokens',
+    Once(root, { result }) {
+      const tokens = fse.readJsonSync(file);
+      root.walkDecls((decl) => {
+        decl.value = decl.value.replace(/token\(([\w-]+)\)/g, (match, name) => tokens[name] ?? match);
+      });
+      result.messages.push({ type: 'dependency', plugin: 'tokens', file, parent: result.opts.from });
+    }
+  };
+};
+tokensPlugin.postcss = true;
+
 (async () => {
   await esbuild.build({
     entryPoints: ['app.jsx'],
@@ -35,6 +56,8 @@ fse.emptyDirSync('./dist');
     plugins: [
       cssModulesPlugin({
         inject: false,
+        generateTsFile: true,
+        typesDir: './dist/bundle-no-inject-types',
         cssModulesOption: {
           generateScopedName: '[path][name]__[local]___[hash:base64:8]'
         }
@@ -93,7 +116,8 @@ fse.emptyDirSync('./dist');
     plugins: [cssModulesPlugin({
       v2: true,
       inject: '#my-custom-element-with-shadow-dom',
-      generateTsFile: true
+      generateTsFile: true,
+      typesDir: './dist/bundle-v2-inject-types'
     })],
     logLevel: 'debug'
   });
@@ -152,12 +176,413 @@ fse.emptyDirSync('./dist');
     },
     plugins: [cssModulesPlugin({
       v2: true,
-      inject: false
+      inject: false,
+      manifest: true
     })],
     logLevel: 'debug'
   });
   console.log('[test][esbuild:bundle:v2] done, please check `test/dist/bundle-v2-no-inject`', '\n');
 
+  await esbuild.build({
+    entryPoints: ['lazy.jsx', 'composes.jsx', 'shadow.jsx'],
+    entryNames: '[name]-[hash]',
+    format: 'esm',
+    target: ['esnext'],
+    bundle: true,
+    splitting: true,
+    minify: false,
+    sourcemap: false,
+    external: ['react', 'react-dom'],
+    outdir: './dist/bundle-v2-inject-splitting',
+    write: true,
+    loader: {
+      '.jpg': 'file'
+    },
+    plugins: [cssModulesPlugin({
+      v2: true,
+      inject: true,
+      injectNonce: { meta: 'csp-nonce', global: '__nonce__' }
+    })],
+    logLevel: 'debug'
+  });
+  console.log('[test][esbuild:bundle:v2] done, please check `test/dist/bundle-v2-inject-splitting`', '\n');
+
+  const inMemoryResult = await esbuild.build({
+    entryPoints: ['app.jsx'],
+    entryNames: '[name]-[hash]',
+    format: 'esm',
+    target: ['esnext'],
+    bundle: true,
+    minify: false,
+    sourcemap: true,
+    external: ['react', 'react-dom'],
+    outdir: './dist/bundle-v2-inject-no-write',
+    write: false,
+    loader: {
+      '.jpg': 'file'
+    },
+    plugins: [cssModulesPlugin({
+      v2: true,
+      inject: true
+    })],
+    logLevel: 'debug'
+  });
+  console.log(
+    '[test][esbuild:bundle:v2] done, output files in memory:',
+    inMemoryResult.outputFiles.map((f) => path.relative(__dirname, f.path)),
+    '\n'
+  );
+
+  await esbuild.build({
+    entryPoints: ['app.jsx'],
+    format: 'esm',
+    target: ['esnext'],
+    bundle: true,
+    minify: false,
+    sourcemap: true,
+    external: ['react', 'react-dom'],
+    outfile: './dist/bundle-v2-inject-outfile/app.js',
+    write: true,
+    loader: {
+      '.jpg': 'file'
+    },
+    plugins: [cssModulesPlugin({
+      v2: true,
+      inject: true,
+      hmr: true
+    })],
+    logLevel: 'debug'
+  });
+  assert.ok(fse.existsSync('./dist/bundle-v2-inject-outfile/css-modules-hmr.json'));
+  console.log('[test][esbuild:bundle:v2] done, please check `test/dist/bundle-v2-inject-outfile`', '\n');
+
+  await esbuild.build({
+    entryPoints: ['app.jsx'],
+    entryNames: '[name]-[hash]',
+    format: 'esm',
+    target: ['esnext'],
+    bundle: true,
+    minify: false,
+    sourcemap: false,
+    external: ['react', 'react-dom'],
+    outdir: './dist/bundle-v2-hmr',
+    write: true,
+    loader: {
+      '.jpg': 'file'
+    },
+    plugins: [cssModulesPlugin({
+      v2: true,
+      inject: true,
+      hmr: true
+    })],
+    logLevel: 'debug'
+  });
+  console.log('[test][esbuild:bundle:v2] done, please check `test/dist/bundle-v2-hmr`', '\n');
+
+  await esbuild.build({
+    entryPoints: ['app.jsx'],
+    entryNames: '[name]-[hash]',
+    format: 'esm',
+    target: ['esnext'],
+    bundle: true,
+    minify: false,
+    sourcemap: false,
+    external: ['react', 'react-dom'],
+    outdir: './dist/bundle-v2-adopted-style-sheets',
+    write: true,
+    loader: {
+      '.jpg': 'file'
+    },
+    plugins: [cssModulesPlugin({
+      v2: true,
+      inject: true,
+      injectMode: 'adoptedStyleSheets',
+      hmr: true
+    })],
+    logLevel: 'debug'
+  });
+  console.log('[test][esbuild:bundle:v2] done, please check `test/dist/bundle-v2-adopted-style-sheets`', '\n');
+
+  await esbuild.build({
+    entryPoints: ['app.jsx'],
+    entryNames: '[name]-[hash]',
+    format: 'esm',
+    target: ['esnext'],
+    bundle: true,
+    minify: false,
+    sourcemap: 'inline',
+    publicPath: 'https://my.domain/static/',
+    external: ['react', 'react-dom'],
+    outdir: './dist/bundle-v2-inject-sourcemap',
+    write: true,
+    loader: {
+      '.jpg': 'file'
+    },
+    plugins: [cssModulesPlugin({
+      v2: true,
+      inject: true
+    })],
+    logLevel: 'debug'
+  });
+  console.log('[test][esbuild:bundle:v2] done, please check `test/dist/bundle-v2-inject-sourcemap`', '\n');
+
+  await esbuild.build({
+    entryPoints: ['transpile.jsx'],
+    format: 'esm',
+    target: ['es2020', 'chrome80', 'safari13'],
+    bundle: true,
+    minify: false,
+    sourcemap: false,
+    external: ['react', 'react-dom'],
+    outdir: './dist/bundle-v2-transpile',
+    write: true,
+    plugins: [cssModulesPlugin({
+      v2: true,
+      v2LightningcssOption: {
+        drafts: { customMedia: true }
+      }
+    })],
+    logLevel: 'debug'
+  });
+  console.log('[test][esbuild:bundle:v2] done, please check `test/dist/bundle-v2-transpile`', '\n');
+
+  await esbuild.build({
+    entryPoints: ['exports.jsx'],
+    format: 'esm',
+    target: ['es2020'],
+    bundle: true,
+    minify: false,
+    sourcemap: true,
+    external: ['react', 'react-dom'],
+    outdir: './dist/bundle-v2-exports',
+    write: true,
+    plugins: [cssModulesPlugin({
+      v2: true,
+      inject: false,
+      generateTsFile: true,
+      typesDir: './dist/bundle-v2-exports/types',
+      v2CssModulesOption: {
+        dashedIndents: true
+      }
+    })],
+    logLevel: 'debug'
+  });
+  console.log('[test][esbuild:bundle:v2] done, please check `test/dist/bundle-v2-exports`', '\n');
+
+  await esbuild.build({
+    entryPoints: ['themed.jsx'],
+    format: 'esm',
+    target: ['es2020'],
+    bundle: true,
+    minify: false,
+    sourcemap: true,
+    external: ['react', 'react-dom'],
+    outdir: './dist/bundle-v2-themes',
+    write: true,
+    loader: {
+      '.jpg': 'file'
+    },
+    plugins: [cssModulesPlugin({
+      v2: true,
+      inject: true,
+      generateTsFile: true,
+      typesDir: './dist/bundle-v2-themes/types',
+      themes: {
+        light: './styles/themes/light.css',
+        dark: './styles/themes/dark.css',
+        'high-contrast': './styles/themes/high-contrast.json'
+      }
+    })],
+    logLevel: 'debug'
+  });
+  console.log('[test][esbuild:bundle:v2] done, please check `test/dist/bundle-v2-themes`', '\n');
+
+  await esbuild.build({
+    entryPoints: ['themed-css.jsx'],
+    format: 'esm',
+    target: ['es2020'],
+    bundle: true,
+    minify: false,
+    sourcemap: true,
+    external: ['react', 'react-dom'],
+    outdir: './dist/bundle-v2-themes-css',
+    write: true,
+    metafile: true,
+    loader: {
+      '.jpg': 'file'
+    },
+    plugins: [cssModulesPlugin({
+      v2: true,
+      inject: false,
+      manifest: true,
+      themes: {
+        light: './styles/themes/light.css',
+        dark: './styles/themes/dark.css',
+        'high-contrast': './styles/themes/high-contrast.json'
+      }
+    })],
+    logLevel: 'debug'
+  }).then(({ metafile }) => {
+    // css of other themes is emitted next to the css output, and listed in metafile and manifest
+    const { themes } = fse.readJsonSync('./dist/bundle-v2-themes-css/css-modules.json');
+    assert.deepStrictEqual(themes, {
+      dark: { 'themed-css.css': 'themed-css.dark.css' },
+      'high-contrast': { 'themed-css.css': 'themed-css.high-contrast.css' }
+    });
+    const lightCss = fse.readFileSync('./dist/bundle-v2-themes-css/themed-css.css', 'utf8');
+    ['dark', 'high-contrast'].forEach((theme) => {
+      const file = `dist/bundle-v2-themes-css/themed-css.${theme}.css`;
+      assert.ok(metafile.outputs[file] && metafile.outputs[`${file}.map`], `${file} is not in metafile`);
+      assert.notStrictEqual(fse.readFileSync(file, 'utf8'), lightCss);
+    });
+  });
+  console.log('[test][esbuild:bundle:v2] done, please check `test/dist/bundle-v2-themes-css`', '\n');
+
+  await esbuild.build({
+    entryPoints: ['preprocessors.jsx'],
+    format: 'esm',
+    target: ['es2020'],
+    bundle: true,
+    minify: false,
+    sourcemap: true,
+    external: ['react', 'react-dom'],
+    outdir: './dist/bundle-v2-preprocessors',
+    write: true,
+    plugins: [cssModulesPlugin({
+      v2: true,
+      inject: false
+    })],
+    logLevel: 'debug'
+  });
+  console.log('[test][esbuild:bundle:v2] done, please check `test/dist/bundle-v2-preprocessors`', '\n');
+
+  await esbuild.build({
+    entryPoints: ['preprocessors.jsx'],
+    format: 'esm',
+    target: ['es2020'],
+    bundle: true,
+    minify: false,
+    sourcemap: true,
+    external: ['react', 'react-dom'],
+    outdir: './dist/bundle-preprocessors',
+    write: true,
+    plugins: [cssModulesPlugin({
+      filter: /\.modules?\.(css|scss|less)$/
+    })],
+    logLevel: 'debug'
+  });
+  console.log('[test][esbuild:bundle] done, please check `test/dist/bundle-preprocessors`', '\n');
+
+  await esbuild.build({
+    entryPoints: ['postcss.jsx'],
+    format: 'esm',
+    target: ['es2020'],
+    bundle: true,
+    minify: false,
+    sourcemap: true,
+    external: ['react', 'react-dom'],
+    outdir: './dist/bundle-v2-postcss',
+    write: true,
+    plugins: [cssModulesPlugin({
+      v2: true,
+      inject: false,
+      postcssPlugins: [tokensPlugin()]
+    })],
+    logLevel: 'debug'
+  });
+  console.log('[test][esbuild:bundle:v2] done, please check `test/dist/bundle-v2-postcss`', '\n');
+
+  await esbuild.build({
+    entryPoints: ['postcss.jsx'],
+    format: 'esm',
+    target: ['es2020'],
+    bundle: true,
+    minify: false,
+    sourcemap: false,
+    external: ['react', 'react-dom'],
+    outdir: './dist/bundle-postcss',
+    write: true,
+    plugins: [cssModulesPlugin({
+      postcssPlugins: [tokensPlugin()]
+    })],
+    logLevel: 'debug'
+  });
+  console.log('[test][esbuild:bundle] done, please check `test/dist/bundle-postcss`', '\n');
+
+  await esbuild.build({
+    entryPoints: ['global.jsx'],
+    format: 'esm',
+    target: ['es2020'],
+    bundle: true,
+    minify: false,
+    sourcemap: false,
+    external: ['react', 'react-dom'],
+    outdir: './dist/bundle-v2-global',
+    write: true,
+    loader: {
+      '.jpg': 'file'
+    },
+    plugins: [cssModulesPlugin({
+      v2: true,
+      inject: true,
+      v2CssModulesOption: {
+        globalModulePaths: ['styles/vendor/**']
+      }
+    })],
+    logLevel: 'debug'
+  });
+  console.log('[test][esbuild:bundle:v2] done, please check `test/dist/bundle-v2-global`', '\n');
+
+  await esbuild.build({
+    entryPoints: ['composes.jsx'],
+    format: 'esm',
+    target: ['es2020'],
+    bundle: true,
+    minify: false,
+    sourcemap: true,
+    external: ['react', 'react-dom'],
+    outdir: './dist/bundle-v2-scoped-name',
+    write: true,
+    loader: {
+      '.jpg': 'file'
+    },
+    plugins: [cssModulesPlugin({
+      v2: true,
+      inject: false,
+      v2CssModulesOption: {
+        generateScopedName: (name, filename, hash) =>
+          `${path.basename(filename).split('.')[0]}_${name}_${hash.slice(0, 5)}`
+      }
+    })],
+    logLevel: 'debug'
+  });
+  console.log('[test][esbuild:bundle:v2] done, please check `test/dist/bundle-v2-scoped-name`', '\n');
+
+  await esbuild.build({
+    entryPoints: ['composes.jsx'],
+    entryNames: '[name]-[hash]',
+    format: 'esm',
+    target: ['esnext'],
+    bundle: true,
+    minify: false,
+    sourcemap: true,
+    external: ['react', 'react-dom'],
+    outdir: './dist/bundle-v2-minify-class-names',
+    write: true,
+    loader: {
+      '.jpg': 'file'
+    },
+    plugins: [cssModulesPlugin({
+      v2: true,
+      inject: false,
+      minifyClassNames: {
+        file: './dist/bundle-v2-minify-class-names/css-modules-names.json'
+      }
+    })],
+    logLevel: 'debug'
+  });
+  console.log('[test][esbuild:bundle:v2] done, please check `test/dist/bundle-v2-minify-class-names`', '\n');
+
   await esbuild.build({
     entryPoints: ['filter.jsx'],
     entryNames: '[name]-[hash]',
@@ -180,4 +605,202 @@ fse.emptyDirSync('./dist');
     logLevel: 'debug'
   });
   console.log('[test][esbuild:bundle:v2] done, please check `test/dist/bundle-v2-filter`', '\n');
+
+  await esbuild.build({
+    entryPoints: ['composes.jsx'],
+    entryNames: '[name]-[hash]',
+    format: 'esm',
+    target: ['esnext'],
+    bundle: true,
+    minify: false,
+    sourcemap: true,
+    external: ['react', 'react-dom'],
+    outdir: './dist/bundle-v2-composes',
+    write: true,
+    loader: {
+      '.jpg': 'file'
+    },
+    plugins: [cssModulesPlugin({
+      v2: true,
+      localsConvention: 'camelCaseOnly'
+    })],
+    logLevel: 'debug'
+  });
+  console.log('[test][esbuild:bundle:v2] done, please check `test/dist/bundle-v2-composes`', '\n');
+
+  await esbuild.build({
+    entryPoints: ['named-exports.jsx', 'strict.jsx'],
+    entryNames: '[name]-[hash]',
+    format: 'esm',
+    target: ['esnext'],
+    bundle: true,
+    minify: false,
+    sourcemap: true,
+    external: ['react', 'react-dom'],
+    outdir: './dist/bundle-v2-strict-class-names',
+    write: true,
+    loader: {
+      '.jpg': 'file'
+    },
+    plugins: [cssModulesPlugin({
+      v2: true,
+      strictClassNames: true
+    })],
+    logLevel: 'debug'
+  });
+  console.log('[test][esbuild:bundle:v2] done, please check `test/dist/bundle-v2-strict-class-names`', '\n');
+
+  await esbuild.build({
+    entryPoints: ['shadow.jsx', 'exports.jsx', 'themed.jsx'],
+    format: 'esm',
+    target: ['esnext'],
+    bundle: true,
+    minify: false,
+    sourcemap: true,
+    external: ['react', 'react-dom'],
+    outdir: './dist/bundle-v2-strict-exports',
+    write: true,
+    loader: {
+      '.jpg': 'file'
+    },
+    plugins: [cssModulesPlugin({
+      v2: true,
+      inject: true,
+      strictClassNames: true,
+      themes: {
+        light: './styles/themes/light.css',
+        dark: './styles/themes/dark.css',
+        'high-contrast': './styles/themes/high-contrast.json'
+      },
+      v2CssModulesOption: {
+        dashedIndents: true
+      }
+    })],
+    logLevel: 'debug'
+  });
+  console.log('[test][esbuild:bundle:v2] done, please check `test/dist/bundle-v2-strict-exports`', '\n');
+
+  await assert.rejects(
+    esbuild.build({
+      entryPoints: ['strict-typo.jsx'],
+      format: 'esm',
+      target: ['esnext'],
+      bundle: true,
+      external: ['react', 'react-dom'],
+      outdir: './dist/bundle-v2-strict-typo',
+      write: false,
+      plugins: [cssModulesPlugin({
+        v2: true,
+        strictClassNames: true
+      })],
+      logLevel: 'silent'
+    }),
+    (error) => error.errors.some(({ text }) => text.includes('class "buton" is not defined'))
+  );
+  console.log('[test][esbuild:bundle:v2] done, strict class names rejected `strict-typo.jsx`', '\n');
+
+  await esbuild.build({
+    entryPoints: [
+      './styles/app.modules.css',
+      './styles/composes.modules.css',
+      './styles/deep/styles/hello.modules.css',
+      'app.jsx',
+      './components/hello.world.jsx'
+    ],
+    format: 'esm',
+    target: ['es2020'],
+    bundle: false,
+    minify: false,
+    sourcemap: false,
+    outdir: './dist/no-bundle-v2',
+    write: true,
+    plugins: [cssModulesPlugin({
+      v2: true,
+      persistentCache: {
+        dir: './dist/.cache'
+      }
+    })],
+    logLevel: 'debug'
+  });
+  console.log('[test][esbuild:no-bundle:v2] done, please check `test/dist/no-bundle-v2`', '\n');
+
+  await esbuild.build({
+    entryPoints: ['ssr.jsx'],
+    format: 'cjs',
+    platform: 'node',
+    target: ['node16'],
+    bundle: true,
+    minify: false,
+    sourcemap: false,
+    outdir: './dist/bundle-v2-ssr',
+    write: true,
+    loader: {
+      '.jpg': 'file'
+    },
+    plugins: [cssModulesPlugin({
+      v2: true,
+      inject: true
+    })],
+    logLevel: 'debug'
+  });
+  // each collector records css modules files used inside its own `collect` only
+  const { createStyleCollector } = require('../ssr.js');
+  const { render, renderLazy } = require('./dist/bundle-v2-ssr/ssr.js');
+  const assertStylesCollected = (html, styles) => {
+    html.match(/class="[^"]+"/g).forEach((c) => {
+      c.slice(7, -1)
+        .split(' ')
+        .forEach((className) => assert.ok(styles.includes(`.${className}`), `css of ${className} is not collected`));
+    });
+  };
+  const collector = createStyleCollector();
+  const lazyCollector = createStyleCollector();
+  // rendered concurrently, as two requests would be
+  const [lazySsrHtml, ssrHtml] = await Promise.all([lazyCollector.collect(renderLazy), collector.collect(render)]);
+  const ssrStyles = collector.getStyleTags();
+  const lazySsrStyles = lazyCollector.getStyleTags();
+  console.log('[test][esbuild:bundle:v2] ssr:', ssrHtml, ssrStyles, lazySsrHtml, lazySsrStyles);
+  assert.deepStrictEqual(collector.getModules().sort(), [
+    './styles/app.modules.css',
+    './styles/deep/styles/hello.modules.css'
+  ]);
+  assert.ok(lazyCollector.getModules().includes('./styles/composes.modules.css'));
+  assert.ok(!lazyCollector.getModules().includes('./styles/app.modules.css'));
+  assert.ok(!collector.getModules().includes('./styles/composes.modules.css'));
+  assertStylesCollected(ssrHtml, ssrStyles);
+  assertStylesCollected(lazySsrHtml, lazySsrStyles);
+  console.log('[test][esbuild:bundle:v2] done, please check `test/dist/bundle-v2-ssr`', '\n');
+
+  // two css modules files with room for one of them, so entries are evicted in each build
+  const cachePlugin = cssModulesPlugin({
+    v2: true,
+    watch: true,
+    memoryCache: {
+      maxEntries: 1
+    }
+  });
+  const cacheContext = await esbuild.context({
+    entryPoints: ['app.jsx'],
+    format: 'esm',
+    target: ['esnext'],
+    bundle: true,
+    external: ['react', 'react-dom'],
+    outdir: './dist/bundle-v2-memory-cache',
+    write: true,
+    loader: {
+      '.jpg': 'file'
+    },
+    plugins: [cachePlugin],
+    logLevel: 'debug'
+  });
+  assert.strictEqual(cachePlugin.getCacheStats().misses, 0);
+  await cacheContext.rebuild();
+  await cacheContext.rebuild();
+  await cacheContext.dispose();
+  const cacheStats = cachePlugin.getCacheStats();
+  console.log('[test][esbuild:bundle:v2] memory cache stats:', cacheStats);
+  assert.strictEqual(cacheStats.entries, 1);
+  assert.ok(cacheStats.evictions >= 2);
+  assert.strictEqual(cacheStats.hits + cacheStats.misses, 4);
+  console.log('[test][esbuild:bundle:v2] done, please check `test/dist/bundle-v2-memory-cache`', '\n');
 })();
@@ -0,0 +1,15 @@
+import React from 'react';
+import ReactDom from 'react-dom';
+
+import styles from './styles/themed.modules.css';
+
+// css of other themes is emitted as `themed-css.<theme>.css`, switch themes by swapping the `<link>`
+const App = () => {
+  return (
+    <div className={styles.card}>
+      <h3 className={styles.title}>Hello World!</h3>
+    </div>
+  );
+};
+
+ReactDom.render(<App/>, document.body);
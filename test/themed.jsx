@@ -0,0 +1,16 @@
+import React from 'react';
+import ReactDom from 'react-dom';
+
+import styles, { setTheme } from './styles/themed.modules.css';
+
+const App = () => {
+  return (
+    <div className={styles.card}>
+      <h3 className={styles.title}>Hello World!</h3>
+      <button onClick={() => setTheme('dark')}>dark</button>
+      <button onClick={() => setTheme('high-contrast')}>high contrast</button>
+    </div>
+  );
+};
+
+ReactDom.render(<App/>, document.body);
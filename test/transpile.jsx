@@ -0,0 +1,14 @@
+import React from 'react';
+import ReactDom from 'react-dom';
+
+import styles from './styles/transpile.modules.css';
+
+const App = () => {
+  return (
+    <div className={styles.card}>
+      <h3 className={styles.title}>Hello World!</h3>
+    </div>
+  );
+};
+
+ReactDom.render(<App/>, document.body);